@@ -1,19 +1,36 @@
 import { ethers } from "ethers";
-import MONAD_TESTNET from "../../config/chain.js";
-
-export const createProvider = (network = "monad-testnet") => {
-  if (network === "monad-testnet") {
-    return new ethers.providers.JsonRpcProvider(
-      MONAD_TESTNET.RPC_URL,
-      MONAD_TESTNET.CHAIN_ID
-    );
-  }
+import { getNetwork } from "../../config/chain.js";
+import { ENV } from "../../config/env.chain.js";
+import { MultiRpcProvider } from "./rpc.js";
 
-  throw new Error(`Unsupported network: ${network}`);
+/**
+ * Provider for a registry network. With several RPC endpoints the provider
+ * health-checks them, routes reads to the healthiest and broadcasts
+ * transactions to all; call `checkHealth()` on it before first use to rank
+ * the endpoints.
+ */
+export const createProvider = (network = ENV.NETWORK) => {
+  const { RPC_URLS, CHAIN_ID } = getNetwork(network);
+  // Without a chain ID (local nodes) the provider detects it from the node
+  if (RPC_URLS.length === 1) {
+    return new ethers.providers.JsonRpcProvider(RPC_URLS[0], CHAIN_ID ?? undefined);
+  }
+  return new MultiRpcProvider(RPC_URLS, CHAIN_ID, {
+    timeoutMs: ENV.RPC_TIMEOUT_MS,
+    maxBlockLag: ENV.RPC_MAX_BLOCK_LAG,
+    healthIntervalMs: ENV.RPC_HEALTH_INTERVAL_MS,
+  });
 };
 
-export const createWallet = (privateKey, provider) => {
-  return new ethers.Wallet(privateKey, provider);
+// Accepts a raw private key or a wallet entry from loadWallets()/unlockVault()
+export const createWallet = (walletOrKey, provider) => {
+  if (typeof walletOrKey === "string") {
+    return new ethers.Wallet(walletOrKey, provider);
+  }
+  if (walletOrKey.signer) {
+    return walletOrKey.signer.connect(provider);
+  }
+  return new ethers.Wallet(walletOrKey.privateKey, provider);
 };
 
 export const createContract = (address, abi, signerOrProvider) => {
@@ -35,16 +52,26 @@ export const getRandomGasLimit = (min = 180000, max = 280000) => {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 };
 
-export const getTransactionExplorerUrl = (
-  txHash,
-  network = "monad-testnet"
-) => {
-  if (network === "monad-testnet") {
-    return `${MONAD_TESTNET.TX_EXPLORER}${txHash}`;
+const fillExplorerTemplate = (template, key, value) => {
+  if (!template) {
+    return value;
   }
-  throw new Error(`Unsupported network: ${network}`);
+  return template.includes(`{${key}}`)
+    ? template.replace(`{${key}}`, value)
+    : `${template}${value}`;
 };
 
+// Networks without an explorer (local nodes) get the bare hash/address back
+export const getTransactionExplorerUrl = (txHash, network = ENV.NETWORK) =>
+  fillExplorerTemplate(getNetwork(network).TX_EXPLORER, "hash", txHash);
+
+export const getAddressExplorerUrl = (address, network = ENV.NETWORK) =>
+  fillExplorerTemplate(getNetwork(network).ADDRESS_EXPLORER, "address", address);
+
+// Amount in wei as "<amount> <currency symbol>" of the selected network
+export const formatNativeAmount = (amount, network = ENV.NETWORK) =>
+  `${ethers.utils.formatEther(amount)} ${getNetwork(network).SYMBOL}`;
+
 export default {
   createProvider,
   createWallet,
@@ -52,4 +79,6 @@ export default {
   formatUnixTimestamp,
   getRandomGasLimit,
   getTransactionExplorerUrl,
+  getAddressExplorerUrl,
+  formatNativeAmount,
 };
@@ -0,0 +1,162 @@
+import { ethers } from "ethers";
+import { log, sleep } from "../utils/helpers.js";
+
+export const BLOCK_STRATEGIES = {
+  ws: "Subscribe to new blocks (WebSocket)",
+  poll: "Poll for new blocks",
+};
+
+// How long a WebSocket endpoint gets to answer before falling back to polling
+const WS_CONNECT_TIMEOUT = 10000;
+
+const connectWebSocket = async (wsUrl) => {
+  const source = new ethers.providers.WebSocketProvider(wsUrl);
+  // ws emits "error" events that would crash the process when unhandled
+  source.websocket.onerror = () => {};
+
+  let timer;
+  try {
+    await Promise.race([
+      source.getBlockNumber(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error("connection timed out")), WS_CONNECT_TIMEOUT);
+      }),
+    ]);
+    return source;
+  } catch (error) {
+    source.destroy().catch(() => {});
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Resolve with the first new block for which `check(block)` returns a truthy
+ * value, as `{ block, result }`. Blocks come from a WebSocket subscription
+ * (`strategy: "ws"`) or from polling the latest block every `intervalMs`;
+ * when the WebSocket cannot connect or drops, polling takes over.
+ *
+ * `check` runs for one block at a time. Blocks that arrive while it runs are
+ * collapsed into the newest one, so a slow check never builds up a backlog.
+ * A block that cannot be fetched is skipped with a warning; an error thrown
+ * by `check` rejects the wait.
+ */
+export const waitForBlock = async (
+  provider,
+  check,
+  { strategy = "poll", intervalMs = 1000, wsUrl = null } = {}
+) => {
+  let wsSource = null;
+  if (strategy === "ws") {
+    if (!wsUrl) {
+      log.warning("No WebSocket URL configured for this network, polling for new blocks instead");
+    } else {
+      try {
+        wsSource = await connectWebSocket(wsUrl);
+      } catch (error) {
+        log.warning(`WebSocket unavailable (${error.message}), polling for new blocks instead`);
+      }
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    let lastNumber = -1;
+    let queued = null;
+    let running = false;
+    let done = false;
+
+    const finish = (callback, value) => {
+      if (done) {
+        return;
+      }
+      done = true;
+      if (wsSource) {
+        wsSource.removeAllListeners("block");
+        wsSource.destroy().catch(() => {});
+      }
+      callback(value);
+    };
+
+    const fetchBlock = async (source, blockTag) => {
+      try {
+        return await source.getBlock(blockTag);
+      } catch (error) {
+        log.warning(`Unable to fetch block ${blockTag}: ${error.reason || error.message}`);
+        return null;
+      }
+    };
+
+    const handleBlock = async (block) => {
+      if (!block || block.number <= lastNumber) {
+        return;
+      }
+      lastNumber = block.number;
+      try {
+        const result = await check(block);
+        if (result) {
+          finish(resolve, { block, result });
+        }
+      } catch (error) {
+        finish(reject, error);
+      }
+    };
+
+    const drain = async (source) => {
+      if (running) {
+        return;
+      }
+      running = true;
+      while (queued !== null && !done) {
+        const blockNumber = queued;
+        queued = null;
+        await handleBlock(await fetchBlock(source, blockNumber));
+      }
+      running = false;
+    };
+
+    const poll = async () => {
+      while (!done) {
+        await handleBlock(await fetchBlock(provider, "latest"));
+        if (!done) {
+          await sleep(intervalMs);
+        }
+      }
+    };
+
+    if (!wsSource) {
+      poll();
+      return;
+    }
+
+    wsSource.on("block", (blockNumber) => {
+      queued = blockNumber;
+      drain(wsSource);
+    });
+    wsSource.websocket.onclose = () => {
+      if (!done) {
+        log.warning("WebSocket connection closed, polling for new blocks instead");
+        wsSource = null;
+        poll();
+      }
+    };
+  });
+};
+
+/**
+ * Seconds the local clock is ahead of the chain (negative when behind),
+ * measured against the latest block timestamp. The age of that block is
+ * included, so the result is accurate to about one block time.
+ */
+export const measureClockDrift = async (provider) => {
+  const requestedAt = Date.now();
+  const block = await provider.getBlock("latest");
+  const localTime = (requestedAt + Date.now()) / 2000;
+  return { drift: localTime - block.timestamp, block };
+};
+
+export default {
+  BLOCK_STRATEGIES,
+  waitForBlock,
+  measureClockDrift,
+};
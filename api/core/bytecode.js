@@ -0,0 +1,107 @@
+import { ethers } from "ethers";
+
+// EIP-1967 storage slots of upgradeable proxies (and the older EIP-1822 one)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const BEACON_SLOT = "0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50";
+const PROXIABLE_SLOT = "0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7";
+
+// EIP-1167 minimal proxies (clones) embed the implementation in their code
+const MINIMAL_PROXY = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+
+// Proxies of proxies are followed this deep
+const MAX_PROXY_DEPTH = 3;
+
+const PUSH1 = 0x60;
+const PUSH4 = 0x63;
+const PUSH32 = 0x7f;
+
+const slotAddress = async (provider, address, slot) => {
+  // Some nodes answer "0x" for an empty slot
+  const value = ethers.utils.hexZeroPad(await provider.getStorageAt(address, slot), 32);
+  const implementation = ethers.utils.hexDataSlice(value, 12);
+  return implementation === ethers.constants.AddressZero ? null : ethers.utils.getAddress(implementation);
+};
+
+// Implementation a proxy delegates to, or null when `code` is not a known proxy
+const getProxyTarget = async (provider, address, code) => {
+  const clone = code.match(MINIMAL_PROXY);
+  if (clone) {
+    return ethers.utils.getAddress(`0x${clone[1]}`);
+  }
+  const implementation =
+    (await slotAddress(provider, address, IMPLEMENTATION_SLOT)) ||
+    (await slotAddress(provider, address, PROXIABLE_SLOT));
+  if (implementation) {
+    return implementation;
+  }
+  const beacon = await slotAddress(provider, address, BEACON_SLOT);
+  if (!beacon) {
+    return null;
+  }
+  const beaconContract = new ethers.Contract(beacon, ["function implementation() view returns (address)"], provider);
+  try {
+    return ethers.utils.getAddress(await beaconContract.implementation());
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Deployed code at `address` and, for proxies (EIP-1167 clones, EIP-1967
+ * implementation or beacon slots, EIP-1822), the code they delegate to:
+ * `{ codes, implementation }`, where `codes` lists the proxy's code first
+ * and `implementation` is the last address followed, or null.
+ */
+export const getContractCode = async (provider, address) => {
+  const code = await provider.getCode(address);
+  if (code === "0x") {
+    throw new Error(`No contract is deployed at ${address}`);
+  }
+
+  const codes = [code];
+  let implementation = null;
+  let current = address;
+  for (let depth = 0; depth < MAX_PROXY_DEPTH; depth++) {
+    const target = await getProxyTarget(provider, current, codes[codes.length - 1]);
+    if (!target || target === implementation) {
+      break;
+    }
+    const targetCode = await provider.getCode(target);
+    if (targetCode === "0x") {
+      break;
+    }
+    implementation = target;
+    current = target;
+    codes.push(targetCode);
+  }
+  return { codes, implementation };
+};
+
+/**
+ * Values of up to four bytes pushed by the code, which include the selectors
+ * its function dispatcher compares calldata against, as "0x"-prefixed
+ * four-byte hex (compilers push selectors with leading zero bytes in fewer
+ * bytes). Push data is skipped while walking the code, so bytes inside other
+ * constants are not mistaken for instructions.
+ */
+export const getCodeSelectors = (code) => {
+  const bytes = ethers.utils.arrayify(code);
+  const selectors = new Set();
+  for (let i = 0; i < bytes.length; i++) {
+    const opcode = bytes[i];
+    if (opcode < PUSH1 || opcode > PUSH32) {
+      continue;
+    }
+    const size = opcode - PUSH1 + 1;
+    if (opcode <= PUSH4 && i + size < bytes.length) {
+      selectors.add(ethers.utils.hexZeroPad(bytes.slice(i + 1, i + 1 + size), 4));
+    }
+    i += size;
+  }
+  return selectors;
+};
+
+export default {
+  getContractCode,
+  getCodeSelectors,
+};
@@ -0,0 +1,40 @@
+import pLimit from "p-limit";
+import { sleep } from "../utils/helpers.js";
+
+export const randomDelay = (maxMs) =>
+  maxMs > 0 ? Math.floor(Math.random() * (maxMs + 1)) : 0;
+
+/**
+ * Run `task(item, index)` for every item with at most `concurrency` tasks in
+ * flight. Item `i` is held back `i * staggerMs` plus a random jitter of up to
+ * `jitterMs` before it queues. Errors never reject the batch; every item gets
+ * an entry `{ item, value }` or `{ item, error }`, in input order.
+ */
+export const runConcurrently = async (
+  items,
+  task,
+  { concurrency = 1, staggerMs = 0, jitterMs = 0 } = {}
+) => {
+  const limit = pLimit(Math.max(1, concurrency));
+
+  return Promise.all(
+    items.map(async (item, index) => {
+      const delay = index * staggerMs + randomDelay(jitterMs);
+      if (delay > 0) {
+        await sleep(delay);
+      }
+
+      try {
+        const value = await limit(() => task(item, index));
+        return { item, value };
+      } catch (error) {
+        return { item, error };
+      }
+    })
+  );
+};
+
+export default {
+  randomDelay,
+  runConcurrently,
+};
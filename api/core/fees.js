@@ -0,0 +1,188 @@
+import { ethers } from "ethers";
+import { log } from "../utils/helpers.js";
+
+// Priority fee strategies. The presets and "percentile" read the tips paid in
+// recent blocks from eth_feeHistory; "fixed" always sends the configured tip;
+// "custom" derives the tip from the current base fee.
+export const FEE_STRATEGIES = {
+  normal: "Normal (25th percentile of recent priority fees)",
+  fast: "Fast (50th percentile of recent priority fees)",
+  fastest: "Fastest (90th percentile of recent priority fees)",
+  percentile: "Custom percentile of recent priority fees",
+  fixed: "Fixed priority fee (gwei)",
+  custom: "Priority fee as a percentage of the base fee",
+};
+
+export const PRESET_PERCENTILES = {
+  normal: 25,
+  fast: 50,
+  fastest: 90,
+};
+
+// Blocks of fee history the percentiles are taken over
+const FEE_HISTORY_BLOCKS = 20;
+// Head room over the next base fee, which can double in about six full blocks
+const BASE_FEE_MULTIPLIER = 2;
+// Fees are read again before a send once they are older than this (milliseconds)
+const FEE_CACHE_MS = 1000;
+// Tip used when no recent block paid one and the node has no suggestion
+const FALLBACK_PRIORITY_FEE = ethers.utils.parseUnits("1", "gwei");
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const getSuggestedPriorityFee = async (provider) => {
+  try {
+    return ethers.BigNumber.from(await provider.send("eth_maxPriorityFeePerGas", []));
+  } catch (error) {
+    return FALLBACK_PRIORITY_FEE;
+  }
+};
+
+/**
+ * Base fee of the next block and, per requested percentile, the median over
+ * recent non-empty blocks of the tip paid at that percentile:
+ * `{ baseFee, priorityFees: { [percentile]: BigNumber } }`. Without recent
+ * tips every percentile falls back to the node's suggested priority fee.
+ */
+export const getFeeHistory = async (provider, percentiles, blocks = FEE_HISTORY_BLOCKS) => {
+  const history = await provider.send("eth_feeHistory", [
+    ethers.utils.hexValue(blocks),
+    "latest",
+    percentiles,
+  ]);
+  const baseFees = history.baseFeePerGas || [];
+  if (baseFees.length === 0) {
+    throw new Error("The node returned no base fee history");
+  }
+  const baseFee = ethers.BigNumber.from(baseFees[baseFees.length - 1]);
+
+  // Empty blocks report zero tips and would drag every percentile down
+  const rewards = (history.reward || []).filter((reward, index) => history.gasUsedRatio[index] > 0);
+  const fallback =
+    percentiles.length > 0 && rewards.length === 0 ? await getSuggestedPriorityFee(provider) : null;
+
+  const priorityFees = {};
+  percentiles.forEach((percentile, index) => {
+    priorityFees[percentile] = fallback || median(rewards.map((reward) => ethers.BigNumber.from(reward[index])));
+  });
+  return { baseFee, priorityFees };
+};
+
+/**
+ * Current fees of every preset for display:
+ * `{ baseFee, presets: { normal, fast, fastest } }` with priority fees in wei.
+ */
+export const getFeePresets = async (provider) => {
+  const { baseFee, priorityFees } = await getFeeHistory(provider, Object.values(PRESET_PERCENTILES));
+  const presets = {};
+  for (const [name, percentile] of Object.entries(PRESET_PERCENTILES)) {
+    presets[name] = priorityFees[percentile];
+  }
+  return { baseFee, presets };
+};
+
+/**
+ * Max fee cap suggested for a run: twice the Fastest preset's max fee, which
+ * leaves room to speed up stuck transactions.
+ */
+export const getSuggestedMaxFee = (baseFee, presets) =>
+  baseFee.mul(BASE_FEE_MULTIPLIER).add(presets.fastest).mul(2);
+
+/**
+ * Fees of a plain transaction at one of the presets, with the usual head room
+ * over the next base fee: `{ maxFeePerGas, maxPriorityFeePerGas }`.
+ */
+export const getPresetFees = async (provider, preset = "fast") => {
+  const { baseFee, presets } = await getFeePresets(provider);
+  return {
+    maxFeePerGas: baseFee.mul(BASE_FEE_MULTIPLIER).add(presets[preset]),
+    maxPriorityFeePerGas: presets[preset],
+  };
+};
+
+/**
+ * Fee source for the sends of a mint job. `getFees()` evaluates the strategy
+ * against the latest fee history (reused for FEE_CACHE_MS) and returns
+ * `{ maxFeePerGas, maxPriorityFeePerGas, baseFee }`, where the max fee covers
+ * twice the next base fee plus the tip but never exceeds `maxFeeCap`.
+ *
+ * Options: `strategy` (a FEE_STRATEGIES key), `percentile` for "percentile",
+ * `priorityFee` (wei) for "fixed", `priorityFeePercent` for "custom".
+ */
+export const createFeeEstimator = (
+  provider,
+  { strategy = "fast", percentile, priorityFee, priorityFeePercent, maxFeeCap }
+) => {
+  if (!FEE_STRATEGIES[strategy]) {
+    throw new Error(`Unknown fee strategy: ${strategy} (expected ${Object.keys(FEE_STRATEGIES).join(", ")})`);
+  }
+  // Only the presets and "percentile" tip from the fee history; the other
+  // strategies request no reward percentiles at all
+  const targetPercentile = strategy === "percentile" ? percentile : PRESET_PERCENTILES[strategy];
+  if (strategy === "percentile" && !Number.isFinite(targetPercentile)) {
+    throw new Error(`The percentile fee strategy needs a numeric percentile, got ${percentile}`);
+  }
+  const rewardPercentiles = Number.isFinite(targetPercentile) ? [targetPercentile] : [];
+
+  let cached = null;
+  let cachedAt = 0;
+  let warnedCap = false;
+
+  const getPriorityFee = (history) => {
+    if (strategy === "fixed") {
+      return ethers.BigNumber.from(priorityFee);
+    }
+    if (strategy === "custom") {
+      return history.baseFee.mul(Math.round(priorityFeePercent * 100)).div(10000);
+    }
+    return history.priorityFees[targetPercentile];
+  };
+
+  const evaluate = async () => {
+    const history = await getFeeHistory(provider, rewardPercentiles);
+    let maxPriorityFeePerGas = getPriorityFee(history);
+    let maxFeePerGas = history.baseFee.mul(BASE_FEE_MULTIPLIER).add(maxPriorityFeePerGas);
+
+    if (maxFeePerGas.gt(maxFeeCap)) {
+      maxFeePerGas = ethers.BigNumber.from(maxFeeCap);
+    }
+    if (maxPriorityFeePerGas.gt(maxFeePerGas)) {
+      maxPriorityFeePerGas = maxFeePerGas;
+    }
+    if (history.baseFee.gt(maxFeeCap) && !warnedCap) {
+      warnedCap = true;
+      log.warning(
+        `The base fee (${ethers.utils.formatUnits(history.baseFee, "gwei")} gwei) is above the max fee cap of ${ethers.utils.formatUnits(maxFeeCap, "gwei")} gwei, mints wait until it drops`
+      );
+    }
+    return { maxFeePerGas, maxPriorityFeePerGas, baseFee: history.baseFee };
+  };
+
+  return {
+    strategy,
+    maxFeeCap: ethers.BigNumber.from(maxFeeCap),
+    getFees: async () => {
+      if (!cached || Date.now() - cachedAt > FEE_CACHE_MS) {
+        cached = evaluate();
+        cachedAt = Date.now();
+        cached.catch(() => {
+          cached = null;
+        });
+      }
+      return cached;
+    },
+  };
+};
+
+export default {
+  FEE_STRATEGIES,
+  PRESET_PERCENTILES,
+  getFeeHistory,
+  getFeePresets,
+  getSuggestedMaxFee,
+  getPresetFees,
+  createFeeEstimator,
+};
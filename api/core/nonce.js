@@ -0,0 +1,42 @@
+/**
+ * Hands out sequential nonces for one signer so several transactions can be
+ * signed and broadcast without waiting for each other. The starting nonce is
+ * read once from the pending transaction count.
+ */
+export const createNonceManager = (signer) => {
+  let nextNonce = null;
+  let loading = null;
+
+  const load = async () => {
+    if (nextNonce === null) {
+      loading = loading || signer.getTransactionCount("pending");
+      const pending = await loading;
+      if (nextNonce === null) {
+        nextNonce = pending;
+      }
+    }
+  };
+
+  return {
+    next: async () => {
+      await load();
+      return nextNonce++;
+    },
+    // Give back a nonce whose transaction never reached the network, so the
+    // next transaction reuses it instead of leaving a gap
+    release: (nonce) => {
+      if (nextNonce !== null && nonce === nextNonce - 1) {
+        nextNonce = nonce;
+      }
+    },
+    resync: async () => {
+      nextNonce = await signer.getTransactionCount("pending");
+      loading = null;
+      return nextNonce;
+    },
+  };
+};
+
+export default {
+  createNonceManager,
+};
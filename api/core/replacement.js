@@ -0,0 +1,106 @@
+import { ethers } from "ethers";
+
+export const STUCK_ACTIONS = {
+  speedup: "Replace with higher fees",
+  cancel: "Cancel with a zero-value self-transfer",
+  none: "Keep waiting",
+};
+
+// Nodes only accept a transaction replacing a pending one at the same nonce
+// when both its max fee and priority fee are at least 10% higher
+export const MIN_FEE_BUMP_PERCENT = 10;
+
+const CANCEL_GAS_LIMIT = 21000;
+
+/**
+ * Raise both fees of a pending transaction by `bumpPercent` (at least the
+ * replacement minimum), and the max fee further to cover twice `baseFee` when
+ * given. Returns null when the new max fee would exceed `ceiling`.
+ */
+export const bumpFees = (
+  { maxFeePerGas, maxPriorityFeePerGas },
+  { bumpPercent = MIN_FEE_BUMP_PERCENT, ceiling = null, baseFee = null } = {}
+) => {
+  const percent = Math.max(bumpPercent, MIN_FEE_BUMP_PERCENT);
+  // Rounded up, so tiny fees still rise by the required share
+  const bump = (value) => {
+    const raised = ethers.BigNumber.from(value).mul(100 + percent);
+    return raised.add(99).div(100);
+  };
+
+  const priorityFee = bump(maxPriorityFeePerGas);
+  let maxFee = bump(maxFeePerGas);
+  if (baseFee) {
+    const needed = ethers.BigNumber.from(baseFee).mul(2).add(priorityFee);
+    if (needed.gt(maxFee)) {
+      maxFee = needed;
+    }
+  }
+  if (priorityFee.gt(maxFee)) {
+    maxFee = priorityFee;
+  }
+
+  if (ceiling && maxFee.gt(ceiling)) {
+    return null;
+  }
+  return { maxFeePerGas: maxFee, maxPriorityFeePerGas: priorityFee };
+};
+
+const signAndSend = async (wallet, transaction) => {
+  const signedTransaction = await wallet.signTransaction(transaction);
+  await wallet.provider.sendTransaction(signedTransaction);
+  return {
+    nonce: transaction.nonce,
+    hash: ethers.utils.keccak256(signedTransaction),
+    signedTransaction,
+  };
+};
+
+/**
+ * Re-send `tx` (a parsed signed transaction or one fetched from the node)
+ * with the same nonce, recipient, calldata and value but new fees. Returns
+ * the replacement as `{ nonce, hash, signedTransaction }`.
+ */
+export const speedUpTransaction = async (wallet, tx, fees) => {
+  const chainId = tx.chainId || (await wallet.getChainId());
+  return signAndSend(wallet, {
+    type: 2,
+    chainId,
+    nonce: tx.nonce,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value,
+    gasLimit: tx.gasLimit,
+    maxFeePerGas: fees.maxFeePerGas,
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+  });
+};
+
+/**
+ * Take over `nonce` with a zero-value self-transfer, so whatever is pending
+ * at that nonce is never mined. `fees` must outbid the pending transaction.
+ */
+export const cancelTransaction = async (wallet, nonce, fees) =>
+  signAndSend(wallet, {
+    type: 2,
+    chainId: await wallet.getChainId(),
+    nonce,
+    to: wallet.address,
+    value: 0,
+    gasLimit: CANCEL_GAS_LIMIT,
+    maxFeePerGas: fees.maxFeePerGas,
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+  });
+
+// The node already holds a transaction with these or higher fees at this nonce
+export const isUnderpricedError = (error) =>
+  /underpriced|fee too low/i.test(`${error.message} ${error.error?.message || ""}`);
+
+export default {
+  STUCK_ACTIONS,
+  MIN_FEE_BUMP_PERCENT,
+  bumpFees,
+  speedUpTransaction,
+  cancelTransaction,
+  isUnderpricedError,
+};
@@ -0,0 +1,195 @@
+import { ethers } from "ethers";
+import { log } from "../utils/helpers.js";
+
+// Outcomes remembered per endpoint to compute its error rate
+const OUTCOME_WINDOW = 20;
+// Share of failed requests above which an endpoint is considered unhealthy
+const MAX_ERROR_RATE = 0.5;
+// JSON-RPC error codes that mean "try elsewhere" rather than a real answer
+const TRANSIENT_RPC_CODES = [-32005, 429];
+
+// Endpoint URLs often embed an API key: only the host is ever logged
+export const describeRpcUrl = (url) => {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+};
+
+// ethers wraps a node's JSON-RPC error (revert, nonce too low, ...) in
+// `error.error` with a numeric code; anything else (timeouts, HTTP errors,
+// refused connections) is a transport failure
+const isTransientError = (error) => {
+  const rpcCode = error.error?.code;
+  return typeof rpcCode !== "number" || TRANSIENT_RPC_CODES.includes(rpcCode);
+};
+
+// ethers' transport errors embed the whole request; keep the cause only
+const describeRpcError = (error) =>
+  error.serverError?.code || (error.status ? `HTTP ${error.status}` : null) || error.reason || error.message;
+
+const createEndpoint = (url, chainId, timeoutMs) => ({
+  url,
+  name: describeRpcUrl(url),
+  // throttleLimit 1: a rate-limited endpoint fails fast and we fail over
+  // instead of waiting out ethers' own retry backoff
+  provider: new ethers.providers.StaticJsonRpcProvider(
+    { url, timeout: timeoutMs, throttleLimit: 1 },
+    chainId ?? undefined
+  ),
+  latency: null,
+  blockNumber: null,
+  outcomes: [],
+  lastError: null,
+  // Set by a transport failure, cleared by the next successful health check
+  down: false,
+});
+
+const recordOutcome = (endpoint, ok, latency, error = null) => {
+  endpoint.outcomes.push(ok);
+  if (endpoint.outcomes.length > OUTCOME_WINDOW) {
+    endpoint.outcomes.shift();
+  }
+  endpoint.down = !ok;
+  if (ok) {
+    endpoint.latency =
+      endpoint.latency === null ? latency : Math.round(endpoint.latency * 0.7 + latency * 0.3);
+  } else {
+    endpoint.lastError = describeRpcError(error);
+  }
+};
+
+const getErrorRate = (endpoint) =>
+  endpoint.outcomes.length === 0
+    ? 0
+    : endpoint.outcomes.filter((ok) => !ok).length / endpoint.outcomes.length;
+
+/**
+ * A JsonRpcProvider backed by several endpoints of the same chain. Reads go
+ * to the healthiest endpoint (lowest latency among those that are neither
+ * lagging behind the highest block seen nor mostly failing) and move to the
+ * next one when it errors or times out. Signed transactions are broadcast to
+ * every endpoint at once and the first acceptance wins.
+ */
+export class MultiRpcProvider extends ethers.providers.JsonRpcProvider {
+  constructor(urls, chainId, { timeoutMs = 5000, maxBlockLag = 3, healthIntervalMs = 10000 } = {}) {
+    super(urls[0], chainId ?? undefined);
+    this.endpoints = urls.map((url) => createEndpoint(url, chainId, timeoutMs));
+    this.maxBlockLag = maxBlockLag;
+
+    if (healthIntervalMs > 0) {
+      this.healthTimer = setInterval(() => {
+        this.checkHealth().catch(() => {});
+      }, healthIntervalMs);
+      // Health checks must never keep the process alive on their own
+      this.healthTimer.unref();
+    }
+  }
+
+  getHighestBlock() {
+    return Math.max(0, ...this.endpoints.map((endpoint) => endpoint.blockNumber ?? 0));
+  }
+
+  isHealthy(endpoint) {
+    return (
+      !endpoint.down &&
+      endpoint.blockNumber !== null &&
+      this.getHighestBlock() - endpoint.blockNumber <= this.maxBlockLag &&
+      getErrorRate(endpoint) <= MAX_ERROR_RATE
+    );
+  }
+
+  // Healthy endpoints by latency first, the rest afterwards as a last resort
+  rankEndpoints() {
+    const byLatency = (a, b) => (a.latency ?? Infinity) - (b.latency ?? Infinity);
+    const healthy = this.endpoints.filter((endpoint) => this.isHealthy(endpoint)).sort(byLatency);
+    const unhealthy = this.endpoints
+      .filter((endpoint) => !healthy.includes(endpoint))
+      .sort((a, b) => getErrorRate(a) - getErrorRate(b) || byLatency(a, b));
+    return [...healthy, ...unhealthy];
+  }
+
+  async checkHealth() {
+    await Promise.all(
+      this.endpoints.map(async (endpoint) => {
+        const start = Date.now();
+        try {
+          const blockNumber = await endpoint.provider.send("eth_blockNumber", []);
+          endpoint.blockNumber = ethers.BigNumber.from(blockNumber).toNumber();
+          recordOutcome(endpoint, true, Date.now() - start);
+        } catch (error) {
+          recordOutcome(endpoint, false, 0, error);
+        }
+      })
+    );
+    return this.getStatus();
+  }
+
+  getStatus() {
+    const highestBlock = this.getHighestBlock();
+    return this.endpoints.map((endpoint) => ({
+      name: endpoint.name,
+      healthy: this.isHealthy(endpoint),
+      latency: endpoint.latency,
+      blockNumber: endpoint.blockNumber,
+      lag: endpoint.blockNumber === null ? null : highestBlock - endpoint.blockNumber,
+      errorRate: getErrorRate(endpoint),
+      lastError: endpoint.lastError,
+    }));
+  }
+
+  async sendTo(endpoint, method, params) {
+    const start = Date.now();
+    try {
+      const result = await endpoint.provider.send(method, params);
+      recordOutcome(endpoint, true, Date.now() - start);
+      return result;
+    } catch (error) {
+      // A revert or a rejected transaction is an answer, not an endpoint fault
+      recordOutcome(endpoint, !isTransientError(error), Date.now() - start, error);
+      throw error;
+    }
+  }
+
+  async broadcast(method, params) {
+    try {
+      return await Promise.any(
+        this.endpoints.map((endpoint) => this.sendTo(endpoint, method, params))
+      );
+    } catch (error) {
+      // Every endpoint refused: surface a node's verdict over a network error
+      const errors = error.errors || [error];
+      throw errors.find((item) => !isTransientError(item)) || errors[0];
+    }
+  }
+
+  async send(method, params) {
+    if (method === "eth_sendRawTransaction") {
+      return this.broadcast(method, params);
+    }
+
+    let lastError = null;
+    let previous = null;
+    for (const endpoint of this.rankEndpoints()) {
+      if (lastError) {
+        log.warning(`RPC ${previous.name} failed (${describeRpcError(lastError)}), retrying on ${endpoint.name}`);
+      }
+      previous = endpoint;
+      try {
+        return await this.sendTo(endpoint, method, params);
+      } catch (error) {
+        if (!isTransientError(error)) {
+          throw error;
+        }
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+}
+
+export default {
+  describeRpcUrl,
+  MultiRpcProvider,
+};
@@ -0,0 +1,381 @@
+import { ethers } from "ethers";
+import { getContractCode, getCodeSelectors } from "../core/bytecode.js";
+
+// A mint adapter describes one launchpad template: the functions whose
+// presence in the deployed code identifies it (`detect`), its mint calls by
+// variant name (`calls`), the variants tried for each mint method
+// (`candidates`) and how to read its configuration (`getConfig`).
+//
+// `getConfig(contract, tokenId)` returns `{ config, variant, tokenId,
+// mintParams }`. `config` has the shape of Magic Eden's SetupConfig
+// (`maxSupply`, `walletLimit`, `publicStage` and, for Magic Eden only,
+// `allowlistStage`), zero meaning unset; `variant` is the call the config
+// implies when one does (null otherwise) and `mintParams` are passed to every
+// mint call with the mint options.
+//
+// A call mints `quantity` tokens to `to`: `args(to, options)` builds its
+// arguments, where `options` holds the mint options, `quantity` and the
+// collection's `contractAddress`; `target(options)` is the address called
+// when that is not the collection itself. Calls marked `toSender` ignore `to`
+// and mint to the paying wallet.
+
+// ERC1155 token IDs are probed upward from 0; the scan ends after this many
+// IDs in a row without a configuration, or at MAX_TOKEN_ID
+const MAX_TOKEN_ID_GAP = 3;
+const MAX_TOKEN_ID = 100;
+
+// Unset token IDs answer getConfig(uint256) with an all-zero configuration
+const isConfigured = (config) =>
+  !config.maxSupply.isZero() || !config.publicStage.startTime.isZero() || !config.allowlistStage.startTime.isZero();
+
+/**
+ * Configurations of the tokens of a Magic Eden ERC1155 collection, as
+ * `[{ tokenId, config }]` in token ID order; empty for other contracts.
+ */
+export const getTokenConfigs = async (contract) => {
+  const tokens = [];
+  let gap = 0;
+  for (let tokenId = 0; tokenId <= MAX_TOKEN_ID && gap < MAX_TOKEN_ID_GAP; tokenId++) {
+    let config = null;
+    try {
+      config = await contract["getConfig(uint256)"](tokenId);
+    } catch (err) {}
+    if (config && isConfigured(config)) {
+      tokens.push({ tokenId, config });
+      gap = 0;
+    } else {
+      gap++;
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Mint configuration of a Magic Eden contract: `{ config, variant, tokenId }`,
+ * where variant "twoParams" is an ERC721 collection (tokenId null) and
+ * "fourParams" the configuration of ERC1155 token `tokenId`. Without a token
+ * ID an ERC1155 collection reports its first configured token.
+ */
+export const getConfigWithFallback = async (contract, tokenId = null) => {
+  if (tokenId !== null) {
+    try {
+      const config = await contract["getConfig(uint256)"](tokenId);
+      return { config, variant: "fourParams", tokenId };
+    } catch (err) {
+      throw new Error(`Unable to retrieve the configuration of token ${tokenId}`);
+    }
+  }
+
+  try {
+    const config = await contract["getConfig()"]();
+    return { config, variant: "twoParams", tokenId: null };
+  } catch (err) {}
+
+  const [first] = await getTokenConfigs(contract);
+  if (!first) {
+    throw new Error("Unable to retrieve configuration");
+  }
+  return { config: first.config, variant: "fourParams", tokenId: first.tokenId };
+};
+
+const toBigNumber = (value) => ethers.BigNumber.from(value ?? 0);
+
+// SetupConfig-shaped configuration of a template with a single public stage
+const publicStageConfig = ({ maxSupply, walletLimit, startTime, endTime, price }) => ({
+  maxSupply: toBigNumber(maxSupply),
+  walletLimit: toBigNumber(walletLimit),
+  publicStage: {
+    startTime: toBigNumber(startTime),
+    endTime: toBigNumber(endTime),
+    // null when the contract has no readable price
+    price: price === null ? null : toBigNumber(price),
+  },
+  allowlistStage: null,
+});
+
+// First of the uint256 getters `names` the contract answers, or null
+const readFirst = async (contract, names) => {
+  for (const name of names) {
+    const getter = new ethers.Contract(
+      contract.address,
+      [`function ${name}() view returns (uint256)`],
+      contract.provider
+    );
+    try {
+      return await getter[name]();
+    } catch (err) {}
+  }
+  return null;
+};
+
+// OpenSea's SeaDrop, deployed at the same address on every chain it supports,
+// and the fee recipient it accepts for drops that do not restrict them
+const SEADROP_ADDRESS = "0x00005EA00Ac477B1030CE78506496e8C2dE24bf5";
+const OPENSEA_FEE_RECIPIENT = "0x0000a26b00c1F0DF003000390027140000fAa719";
+const SEADROP_ABI = [
+  "function getPublicDrop(address nftContract) view returns (tuple(uint80 mintPrice, uint48 startTime, uint48 endTime, uint16 maxTotalMintableByWallet, uint16 feeBps, bool restrictFeeRecipients))",
+  "function getAllowedFeeRecipients(address nftContract) view returns (address[])",
+];
+
+// thirdweb drops price their claim conditions in this pseudo-address for the native currency
+const THIRDWEB_NATIVE_TOKEN = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+const THIRDWEB_DROP_ABI = [
+  "function claimCondition() view returns (uint256 currentStartId, uint256 count)",
+  "function getActiveClaimConditionId() view returns (uint256)",
+  "function getClaimConditionById(uint256 conditionId) view returns (tuple(uint256 startTimestamp, uint256 maxClaimableSupply, uint256 supplyClaimed, uint256 quantityLimitPerWallet, bytes32 merkleRoot, uint256 pricePerToken, address currency, string metadata))",
+];
+
+// The active claim condition or, before the first phase starts, the first one
+const getClaimCondition = async (drop) => {
+  try {
+    return await drop.getClaimConditionById(await drop.getActiveClaimConditionId());
+  } catch (err) {}
+  const { currentStartId, count } = await drop.claimCondition();
+  if (count.isZero()) {
+    throw new Error("The drop has no claim condition");
+  }
+  return drop.getClaimConditionById(currentStartId);
+};
+
+// Getters of hand-written collections, by the names most commonly used
+const PRICE_GETTERS = ["price", "cost", "mintPrice", "MINT_PRICE", "PRICE", "publicPrice", "publicSalePrice"];
+const MAX_SUPPLY_GETTERS = ["maxSupply", "MAX_SUPPLY", "collectionSize"];
+const WALLET_LIMIT_GETTERS = ["maxPerWallet", "MAX_PER_WALLET", "maxMintPerWallet", "walletLimit"];
+const START_TIME_GETTERS = ["publicSaleStartTime", "saleStartTime", "startTime"];
+
+export const MINT_ADAPTERS = {
+  magicEden: {
+    name: "Magic Eden",
+    detect: [
+      "mintPublic(address,uint256)",
+      "mintPublic(address,uint256,uint256,bytes)",
+      "getConfig()",
+      "getConfig(uint256)",
+    ],
+    // The fourParams ones mint ERC1155 token `tokenId` (default 0)
+    calls: {
+      fourParams: {
+        signature: "mintPublic(address,uint256,uint256,bytes)",
+        args: (to, { tokenId = 0, quantity = 1 }) => [to, tokenId, quantity, "0x"],
+      },
+      twoParams: {
+        signature: "mintPublic(address,uint256)",
+        args: (to, { quantity = 1 }) => [to, quantity],
+      },
+      allowlist: {
+        signature: "mintAllowlist(address,uint256,bytes32[])",
+        args: (to, { proof, quantity = 1 }) => [to, quantity, proof],
+      },
+      allowlistFourParams: {
+        signature: "mintAllowlist(address,uint256,uint256,bytes32[])",
+        args: (to, { proof, tokenId = 0, quantity = 1 }) => [to, tokenId, quantity, proof],
+      },
+    },
+    candidates: {
+      auto: ["fourParams", "twoParams"],
+      fourParams: ["fourParams"],
+      twoParams: ["twoParams"],
+      allowlist: ["allowlist", "allowlistFourParams"],
+    },
+    getConfig: getConfigWithFallback,
+  },
+
+  // ERC721SeaDrop collections are minted through the SeaDrop contract
+  seaDrop: {
+    name: "SeaDrop",
+    detect: ["mintSeaDrop(address,uint256)"],
+    calls: {
+      seaDrop: {
+        signature: "mintPublic(address,address,address,uint256)",
+        target: ({ seaDrop }) => seaDrop,
+        // SeaDrop lets only allowed payers mint to another address than their own
+        toSender: true,
+        args: (to, { contractAddress, feeRecipient, quantity = 1 }) => [contractAddress, feeRecipient, to, quantity],
+      },
+    },
+    candidates: { auto: ["seaDrop"] },
+    getConfig: async (contract) => {
+      const seaDrop = new ethers.Contract(SEADROP_ADDRESS, SEADROP_ABI, contract.provider);
+      const drop = await seaDrop.getPublicDrop(contract.address);
+      const [feeRecipient = OPENSEA_FEE_RECIPIENT] = await seaDrop.getAllowedFeeRecipients(contract.address);
+      const config = publicStageConfig({
+        maxSupply: await readFirst(contract, ["maxSupply"]),
+        walletLimit: drop.maxTotalMintableByWallet,
+        startTime: drop.startTime,
+        endTime: drop.endTime,
+        price: drop.mintPrice,
+      });
+      return { config, variant: "seaDrop", tokenId: null, mintParams: { seaDrop: SEADROP_ADDRESS, feeRecipient } };
+    },
+  },
+
+  thirdweb: {
+    name: "thirdweb Drop",
+    detect: ["claim(address,uint256,address,uint256,(bytes32[],uint256,uint256,address),bytes)"],
+    calls: {
+      thirdwebClaim: {
+        signature: "claim(address,uint256,address,uint256,(bytes32[],uint256,uint256,address),bytes)",
+        // No allowlist proof: the condition's own limit and price apply
+        args: (to, { currency, pricePerToken, quantity = 1 }) => [
+          to,
+          quantity,
+          currency,
+          pricePerToken,
+          [[], 0, ethers.constants.MaxUint256, ethers.constants.AddressZero],
+          "0x",
+        ],
+      },
+    },
+    candidates: { auto: ["thirdwebClaim"] },
+    getConfig: async (contract) => {
+      const drop = new ethers.Contract(contract.address, THIRDWEB_DROP_ABI, contract.provider);
+      const condition = await getClaimCondition(drop);
+      if (condition.currency.toLowerCase() !== THIRDWEB_NATIVE_TOKEN.toLowerCase()) {
+        throw new Error(`The claim condition is priced in the ERC20 token ${condition.currency}, only the native currency is supported`);
+      }
+      const config = publicStageConfig({
+        maxSupply: await readFirst(contract, ["maxTotalSupply"]),
+        walletLimit: condition.quantityLimitPerWallet.eq(ethers.constants.MaxUint256) ? 0 : condition.quantityLimitPerWallet,
+        startTime: condition.startTimestamp,
+        endTime: 0,
+        price: condition.pricePerToken,
+      });
+      const mintParams = { currency: condition.currency, pricePerToken: condition.pricePerToken };
+      return { config, variant: "thirdwebClaim", tokenId: null, mintParams };
+    },
+  },
+
+  // Hand-written collections with a payable mint and plain getters; they
+  // have no stage end, and no start time unless a getter tells it
+  plainMint: {
+    name: "Plain mint",
+    detect: ["mint(address,uint256)", "mint(uint256)"],
+    calls: {
+      mintTo: {
+        signature: "mint(address,uint256)",
+        args: (to, { quantity = 1 }) => [to, quantity],
+      },
+      mintQuantity: {
+        signature: "mint(uint256)",
+        toSender: true,
+        args: (to, { quantity = 1 }) => [quantity],
+      },
+    },
+    candidates: { auto: ["mintTo", "mintQuantity"] },
+    getConfig: async (contract) => {
+      const config = publicStageConfig({
+        maxSupply: await readFirst(contract, MAX_SUPPLY_GETTERS),
+        walletLimit: await readFirst(contract, WALLET_LIMIT_GETTERS),
+        startTime: await readFirst(contract, START_TIME_GETTERS),
+        endTime: 0,
+        price: await readFirst(contract, PRICE_GETTERS),
+      });
+      return { config, variant: null, tokenId: null, mintParams: {} };
+    },
+  },
+};
+
+// Adapters in detection order: the first whose functions appear in the code wins
+const DETECTION_ORDER = ["magicEden", "seaDrop", "thirdweb", "plainMint"];
+
+const getSelector = (signature) => ethers.utils.id(signature).slice(0, 10);
+
+// Contract call of a mint variant of `adapter`, or of any adapter when none is
+// given. An unknown variant throws rather than encode the wrong function.
+export const getMintCall = (mintVariant, adapter = null) => {
+  for (const candidate of adapter ? [adapter] : Object.values(MINT_ADAPTERS)) {
+    if (candidate.calls[mintVariant]) {
+      return candidate.calls[mintVariant];
+    }
+  }
+  throw new Error(`Unsupported mint variant "${mintVariant}" for adapter ${adapter ? adapter.name : "any"}`);
+};
+
+/**
+ * Unsigned `{ to, data }` of a mint of `mintVariant` to `to`. The "quote"
+ * variant sends the transaction Magic Eden quoted
+ * (`mintOptions.quotedTransaction`).
+ */
+export const getMintTransaction = (contractAddress, mintVariant, to, mintOptions = {}) => {
+  if (mintVariant === "quote") {
+    const { quotedTransaction } = mintOptions;
+    return { to: quotedTransaction.to, data: quotedTransaction.data };
+  }
+  const call = getMintCall(mintVariant);
+  const options = { ...mintOptions, contractAddress };
+  const callInterface = new ethers.utils.Interface([`function ${call.signature} payable`]);
+  return {
+    to: call.target ? call.target(options) : contractAddress,
+    data: callInterface.encodeFunctionData(call.signature, call.args(to, options)),
+  };
+};
+
+const ERC1155_INTERFACE_ID = "0xd9b67a26";
+const ERC721_INTERFACE_ID = "0x80ac58cd";
+
+// "ERC721" or "ERC1155" as reported through ERC-165, or null
+export const getTokenInterface = async (contractAddress, provider) => {
+  const contract = new ethers.Contract(
+    contractAddress,
+    ["function supportsInterface(bytes4) view returns (bool)"],
+    provider
+  );
+  try {
+    if (await contract.supportsInterface(ERC1155_INTERFACE_ID)) {
+      return "ERC1155";
+    }
+    if (await contract.supportsInterface(ERC721_INTERFACE_ID)) {
+      return "ERC721";
+    }
+  } catch (err) {}
+  return null;
+};
+
+/**
+ * Identify the launchpad template of a contract from the function selectors
+ * in its deployed code, following proxies to their implementation. Returns
+ * `{ adapter, matched, variants, protocol, implementation }`: `variants` are the
+ * adapter's auto candidates whose function is in the code (all of them when
+ * none is found directly, e.g. calls made through another contract) and
+ * `protocol` the ERC-165 token standard. Contracts matching no template get
+ * the Magic Eden adapter with `matched` false.
+ */
+export const detectMintAdapter = async (contractAddress, provider) => {
+  const { codes, implementation } = await getContractCode(provider, contractAddress);
+  const selectors = new Set(codes.flatMap((code) => [...getCodeSelectors(code)]));
+  const protocol = await getTokenInterface(contractAddress, provider);
+
+  for (const id of DETECTION_ORDER) {
+    const adapter = MINT_ADAPTERS[id];
+    if (!adapter.detect.some((signature) => selectors.has(getSelector(signature)))) {
+      continue;
+    }
+    const found = adapter.candidates.auto.filter((variant) =>
+      selectors.has(getSelector(adapter.calls[variant].signature))
+    );
+    return {
+      adapter,
+      matched: true,
+      variants: found.length > 0 ? found : adapter.candidates.auto,
+      protocol,
+      implementation,
+    };
+  }
+  return {
+    adapter: MINT_ADAPTERS.magicEden,
+    matched: false,
+    variants: MINT_ADAPTERS.magicEden.candidates.auto,
+    protocol,
+    implementation,
+  };
+};
+
+export default {
+  MINT_ADAPTERS,
+  getTokenConfigs,
+  getConfigWithFallback,
+  getMintCall,
+  getMintTransaction,
+  getTokenInterface,
+  detectMintAdapter,
+};
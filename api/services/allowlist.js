@@ -0,0 +1,151 @@
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import {
+  buildMerkleTree,
+  getMerkleRoot,
+  getMerkleProof,
+} from "../utils/merkle.js";
+
+const normalizeEntry = (entry, source, kind) => {
+  const rawAddress = typeof entry === "string" ? entry : entry.address;
+  const rawQuantity =
+    typeof entry === "string" ? undefined : entry.quantity ?? entry.qty;
+
+  if (!ethers.utils.isAddress(rawAddress || "")) {
+    throw new Error(`Invalid ${kind} address in ${source}: ${rawAddress}`);
+  }
+
+  let quantity = null;
+  if (rawQuantity !== undefined && rawQuantity !== "") {
+    quantity = parseInt(rawQuantity);
+    if (isNaN(quantity) || quantity < 1) {
+      throw new Error(
+        `Invalid ${kind} quantity for ${rawAddress} in ${source}: ${rawQuantity}`
+      );
+    }
+  }
+
+  return { address: ethers.utils.getAddress(rawAddress), quantity };
+};
+
+// Entries of an address list file, `kind` naming the list in errors
+const loadAddressList = (file, kind) => {
+  const content = fs.readFileSync(file, "utf8");
+  const title = `${kind[0].toUpperCase()}${kind.slice(1)}`;
+
+  let rawEntries;
+  if (path.extname(file) === ".json") {
+    rawEntries = JSON.parse(content);
+    if (!Array.isArray(rawEntries)) {
+      throw new Error(`${title} ${file} must contain an array`);
+    }
+  } else {
+    rawEntries = content
+      .split(/\r?\n/)
+      .map((line) => line.replace(/#.*/, "").trim())
+      .filter((line) => line && !/^address\b/i.test(line))
+      .map((line) => {
+        const [address, quantity] = line.split(/[,;\s]+/);
+        return { address, quantity };
+      });
+  }
+
+  const entries = rawEntries.map((entry) => normalizeEntry(entry, file, kind));
+  if (entries.length === 0) {
+    throw new Error(`${title} ${file} is empty`);
+  }
+  return entries;
+};
+
+/**
+ * Load an allowlist file. JSON files hold an array of addresses or of
+ * `{ address, quantity }` objects; any other file is read as one
+ * `address[,quantity]` pair per line (blank lines and `#` comments ignored).
+ */
+export const loadAllowlist = (file) => {
+  const entries = loadAddressList(file, "allowlist");
+
+  const withQuantity = entries.filter((entry) => entry.quantity !== null);
+  if (withQuantity.length > 0 && withQuantity.length < entries.length) {
+    throw new Error(
+      `Allowlist ${file} mixes entries with and without quantities`
+    );
+  }
+
+  return entries;
+};
+
+/**
+ * Load a list of mint recipients, in the allowlist file format. Entries
+ * without a quantity (null) mint the run's amount; an address listed twice
+ * is an error.
+ */
+export const loadRecipients = (file) => {
+  const entries = loadAddressList(file, "recipient list");
+  const seen = new Set();
+  for (const { address } of entries) {
+    if (seen.has(address)) {
+      throw new Error(`Recipient ${address} is listed twice in ${file}`);
+    }
+    seen.add(address);
+  }
+  return entries;
+};
+
+export const hashAllowlistEntry = ({ address, quantity }) =>
+  quantity === null
+    ? ethers.utils.solidityKeccak256(["address"], [address])
+    : ethers.utils.solidityKeccak256(
+        ["address", "uint256"],
+        [address, quantity]
+      );
+
+/**
+ * Build the allowlist Merkle tree and check it against the on-chain root.
+ * Lists are tried in file order first and then sorted by leaf, covering both
+ * common generator settings. Throws if neither ordering reproduces the root.
+ */
+export const createAllowlist = (entries, merkleRoot) => {
+  const leaves = entries.map(hashAllowlistEntry);
+  const orderings = [leaves, [...leaves].sort()];
+
+  const getEntry = (address) =>
+    entries.find(
+      (entry) => entry.address.toLowerCase() === address.toLowerCase()
+    ) || null;
+
+  for (const ordering of orderings) {
+    const layers = buildMerkleTree(ordering);
+    const root = getMerkleRoot(layers);
+    if (root.toLowerCase() !== merkleRoot.toLowerCase()) {
+      continue;
+    }
+
+    return {
+      root,
+      entries,
+      getEntry,
+      getProof: (address) => {
+        const entry = getEntry(address);
+        if (!entry) return null;
+        return getMerkleProof(
+          layers,
+          ordering.indexOf(hashAllowlistEntry(entry))
+        );
+      },
+    };
+  }
+
+  const computedRoot = getMerkleRoot(buildMerkleTree(leaves));
+  throw new Error(
+    `Allowlist Merkle root mismatch: computed ${computedRoot}, on-chain ${merkleRoot}`
+  );
+};
+
+export default {
+  loadAllowlist,
+  loadRecipients,
+  hashAllowlistEntry,
+  createAllowlist,
+};
@@ -0,0 +1,221 @@
+import { ethers } from "ethers";
+import { createNonceManager } from "../core/nonce.js";
+
+const TOKEN_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+  "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+  "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function balanceOf(address account, uint256 id) view returns (uint256)",
+  "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId)",
+  "function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)",
+];
+
+const tokenInterface = new ethers.utils.Interface(TOKEN_ABI);
+
+// Blocks per eth_getLogs request when scanning for received tokens
+const LOG_BLOCK_RANGE = 1000;
+
+const addToken = (tokens, tokenId, amount) => {
+  const key = tokenId.toString();
+  tokens.set(key, (tokens.get(key) || ethers.constants.Zero).add(amount));
+};
+
+/**
+ * Tokens of `contractAddress` that `holder` received in `logs`, from ERC721
+ * `Transfer` and ERC1155 `TransferSingle` / `TransferBatch` events:
+ * `{ protocol, tokens }`, where `tokens` maps token IDs (decimal strings) to
+ * amounts and `protocol` is null when no transfer was found. ERC20 `Transfer`
+ * events, which share the topic but not the indexed token ID, are ignored.
+ */
+export const getReceivedTokens = (logs, contractAddress, holder) => {
+  const tokens = new Map();
+  let protocol = null;
+  for (const entry of logs) {
+    if (entry.address.toLowerCase() !== contractAddress.toLowerCase()) {
+      continue;
+    }
+    let event;
+    try {
+      event = tokenInterface.parseLog(entry);
+    } catch (error) {
+      continue;
+    }
+    if (event.args.to?.toLowerCase() !== holder.toLowerCase()) {
+      continue;
+    }
+    if (event.name === "Transfer" && entry.topics.length === 4) {
+      protocol = "ERC721";
+      addToken(tokens, event.args.tokenId, 1);
+    } else if (event.name === "TransferSingle") {
+      protocol = "ERC1155";
+      addToken(tokens, event.args.id, event.args.value);
+    } else if (event.name === "TransferBatch") {
+      protocol = "ERC1155";
+      // `values` is taken by the array method of the parsed arguments
+      event.args.ids.forEach((id, index) => addToken(tokens, id, event.args[4][index]));
+    }
+  }
+  return { protocol, tokens };
+};
+
+/**
+ * Tokens minted by the confirmed mints of a journaled job, read from their
+ * receipts: `{ protocol, wallets, recipients }` with `wallets` mapping each
+ * receiving address (lower case) to its tokens as returned by
+ * `getReceivedTokens`. Mints paid for a recipient went to the recipient, whose
+ * address is also in the `recipients` set.
+ */
+export const getJournaledTokens = async (provider, journal) => {
+  const { contractAddress } = journal.job;
+  const wallets = new Map();
+  const recipients = new Set();
+  let protocol = null;
+  for (const mint of journal.getMints().filter((entry) => entry.status === "confirmed")) {
+    const receipt = await provider.getTransactionReceipt(mint.hash);
+    if (!receipt) {
+      continue;
+    }
+    const holder = mint.recipient || mint.wallet;
+    if (mint.recipient) {
+      recipients.add(holder);
+    }
+    const received = getReceivedTokens(receipt.logs, contractAddress, holder);
+    protocol = protocol || received.protocol;
+    const tokens = wallets.get(holder) || new Map();
+    received.tokens.forEach((amount, tokenId) => addToken(tokens, tokenId, amount));
+    wallets.set(holder, tokens);
+  }
+  return { protocol, wallets, recipients };
+};
+
+// ERC721Enumerable holdings, or null when the contract does not enumerate
+const getEnumeratedTokens = async (contract, holder) => {
+  try {
+    const balance = (await contract["balanceOf(address)"](holder)).toNumber();
+    const tokens = new Map();
+    for (let index = 0; index < balance; index++) {
+      addToken(tokens, await contract.tokenOfOwnerByIndex(holder, index), 1);
+    }
+    return tokens;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Tokens `holder` received from `contractAddress` since `fromBlock`, found in
+ * the contract's transfer events. ERC721Enumerable contracts are read
+ * directly instead; otherwise `fromBlock` is required.
+ */
+export const scanReceivedTokens = async (provider, contractAddress, holder, { protocol, fromBlock = null }) => {
+  const contract = new ethers.Contract(contractAddress, TOKEN_ABI, provider);
+  if (protocol === "ERC721") {
+    const enumerated = await getEnumeratedTokens(contract, holder);
+    if (enumerated) {
+      return enumerated;
+    }
+  }
+  if (fromBlock === null) {
+    throw new Error("The contract does not list the tokens of an owner, give the block to scan transfers from");
+  }
+
+  const holderTopic = ethers.utils.hexZeroPad(holder, 32);
+  const topics = protocol === "ERC1155"
+    ? [[tokenInterface.getEventTopic("TransferSingle"), tokenInterface.getEventTopic("TransferBatch")], null, null, holderTopic]
+    : [tokenInterface.getEventTopic("Transfer"), null, holderTopic];
+  const latest = await provider.getBlockNumber();
+  const logs = [];
+  for (let start = fromBlock; start <= latest; start += LOG_BLOCK_RANGE) {
+    logs.push(
+      ...(await provider.getLogs({
+        address: contractAddress,
+        topics,
+        fromBlock: start,
+        toBlock: Math.min(start + LOG_BLOCK_RANGE - 1, latest),
+      }))
+    );
+  }
+  return getReceivedTokens(logs, contractAddress, holder).tokens;
+};
+
+/**
+ * Narrow `tokens` down to what `holder` still owns: ERC721 tokens it is the
+ * owner of, ERC1155 tokens at its current balance.
+ */
+export const getHeldTokens = async (provider, contractAddress, holder, protocol, tokens) => {
+  const contract = new ethers.Contract(contractAddress, TOKEN_ABI, provider);
+  const held = new Map();
+  for (const tokenId of tokens.keys()) {
+    if (protocol === "ERC1155") {
+      const balance = await contract["balanceOf(address,uint256)"](holder, tokenId);
+      if (!balance.isZero()) {
+        held.set(tokenId, balance);
+      }
+    } else {
+      try {
+        if ((await contract.ownerOf(tokenId)).toLowerCase() === holder.toLowerCase()) {
+          held.set(tokenId, ethers.constants.One);
+        }
+      } catch (error) {}
+    }
+  }
+  return held;
+};
+
+/**
+ * Move `tokens` from `wallet` to `to`: one `safeTransferFrom` per ERC721
+ * token, sent with consecutive nonces, or a single `safeBatchTransferFrom`
+ * for ERC1155. Returns `{ tokenIds, hash, blockNumber }` or
+ * `{ tokenIds, hash, error }` per transaction.
+ */
+export const transferTokens = async (wallet, contractAddress, { protocol, to, tokens, fees }) => {
+  const contract = new ethers.Contract(contractAddress, TOKEN_ABI, wallet);
+  const nonceManager = createNonceManager(wallet);
+  const calls = protocol === "ERC1155"
+    ? [{
+      tokenIds: [...tokens.keys()],
+      send: (overrides) =>
+        contract.safeBatchTransferFrom(wallet.address, to, [...tokens.keys()], [...tokens.values()], "0x", overrides),
+    }]
+    : [...tokens.keys()].map((tokenId) => ({
+      tokenIds: [tokenId],
+      send: (overrides) =>
+        contract["safeTransferFrom(address,address,uint256)"](wallet.address, to, tokenId, overrides),
+    }));
+
+  const sent = [];
+  for (const { tokenIds, send } of calls) {
+    const nonce = await nonceManager.next();
+    try {
+      sent.push({ tokenIds, tx: await send({ nonce, type: 2, ...fees }) });
+    } catch (error) {
+      nonceManager.release(nonce);
+      sent.push({ tokenIds, error });
+    }
+  }
+
+  return Promise.all(
+    sent.map(async ({ tokenIds, tx, error }) => {
+      if (error) {
+        return { tokenIds, hash: null, error };
+      }
+      try {
+        const receipt = await tx.wait();
+        return { tokenIds, hash: tx.hash, blockNumber: receipt.blockNumber };
+      } catch (waitError) {
+        return { tokenIds, hash: tx.hash, error: waitError };
+      }
+    })
+  );
+};
+
+export default {
+  getReceivedTokens,
+  getJournaledTokens,
+  scanReceivedTokens,
+  getHeldTokens,
+  transferTokens,
+};
@@ -0,0 +1,100 @@
+import { ethers } from "ethers";
+import { createNonceManager } from "../core/nonce.js";
+
+// Gas of a plain native transfer to an account without code
+export const TRANSFER_GAS = 21000;
+
+/**
+ * Balance a wallet needs before minting `quantity` NFTs: the price of every
+ * NFT plus one transaction at the full gas limit and max fee cap. This is the
+ * check a mint run makes before it lets a wallet mint.
+ */
+export const getMintRequirement = ({ mintPrice, quantity, maxFeePerGas, gasLimit }) =>
+  ethers.BigNumber.from(mintPrice).mul(quantity).add(ethers.BigNumber.from(maxFeePerGas).mul(gasLimit));
+
+/**
+ * Top-ups bringing every wallet to `required`: `{ walletEntry, balance, amount }`
+ * per wallet, with a zero amount when the wallet already holds enough.
+ */
+export const planFunding = (provider, wallets, required) =>
+  Promise.all(
+    wallets.map(async (walletEntry) => {
+      const balance = await provider.getBalance(walletEntry.address);
+      const amount = balance.gte(required) ? ethers.constants.Zero : required.sub(balance);
+      return { walletEntry, balance, amount };
+    })
+  );
+
+/**
+ * What every wallet can send back: `{ walletEntry, balance, amount }`, the
+ * amount being the balance minus the gas of the transfer at `maxFeePerGas`
+ * and `keep`, which stays in the wallet. Zero when nothing is left over.
+ */
+export const planSweep = (provider, wallets, { maxFeePerGas, keep = ethers.constants.Zero }) =>
+  Promise.all(
+    wallets.map(async (walletEntry) => {
+      const balance = await provider.getBalance(walletEntry.address);
+      const reserved = maxFeePerGas.mul(TRANSFER_GAS).add(keep);
+      const amount = balance.gt(reserved) ? balance.sub(reserved) : ethers.constants.Zero;
+      return { walletEntry, balance, amount };
+    })
+  );
+
+/**
+ * Send native transfers `{ to, amount }` from one wallet, `batchSize` at a
+ * time: a batch goes out with consecutive nonces, without waiting between
+ * sends, and is confirmed before the next one starts. Errors never reject;
+ * every transfer gets `{ transfer, hash, blockNumber }` or
+ * `{ transfer, hash, error }`, in input order.
+ */
+export const sendTransfers = async (wallet, transfers, { batchSize = 1, fees }) => {
+  const nonceManager = createNonceManager(wallet);
+  const results = [];
+
+  for (let start = 0; start < transfers.length; start += batchSize) {
+    const sent = [];
+    // Sends stay sequential so a rejected one gives its nonce back to the next
+    for (const transfer of transfers.slice(start, start + batchSize)) {
+      const nonce = await nonceManager.next();
+      try {
+        const tx = await wallet.sendTransaction({
+          to: transfer.to,
+          value: transfer.amount,
+          gasLimit: TRANSFER_GAS,
+          nonce,
+          type: 2,
+          ...fees,
+        });
+        sent.push({ transfer, tx });
+      } catch (error) {
+        nonceManager.release(nonce);
+        sent.push({ transfer, error });
+      }
+    }
+
+    results.push(
+      ...(await Promise.all(
+        sent.map(async ({ transfer, tx, error }) => {
+          if (error) {
+            return { transfer, hash: null, error };
+          }
+          try {
+            const receipt = await tx.wait();
+            return { transfer, hash: tx.hash, blockNumber: receipt.blockNumber };
+          } catch (waitError) {
+            return { transfer, hash: tx.hash, error: waitError };
+          }
+        })
+      ))
+    );
+  }
+  return results;
+};
+
+export default {
+  TRANSFER_GAS,
+  getMintRequirement,
+  planFunding,
+  planSweep,
+  sendTransfers,
+};
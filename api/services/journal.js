@@ -0,0 +1,217 @@
+import fs from "fs";
+import path from "path";
+import { ENV } from "../../config/env.chain.js";
+
+// A journal is a JSON-lines file in JOURNAL_DIR, one per mint job. The first
+// line describes the job (network, contract, answers, settings, wallets) and
+// is repeated with updated answers when a resumed run overrides them; every
+// other line is the full current state of one mint transaction, keyed by its
+// hash, so replaying the file in order and keeping the last line per hash
+// rebuilds the state after a crash. Lines are fsynced as they are
+// written, and a mint is journaled before it is broadcast.
+
+const JOURNAL_EXTENSION = ".jsonl";
+
+// Mint states that count as done when a job is resumed
+export const FINAL_MINT_STATUSES = ["confirmed", "reverted", "failed", "replaced", "cancelled"];
+
+const getJournalPath = (id) => path.join(ENV.JOURNAL_DIR, `${id}${JOURNAL_EXTENSION}`);
+
+const appendSynced = (file, text) => {
+  const fd = fs.openSync(file, "a");
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+const appendLine = (file, record) => appendSynced(file, `${JSON.stringify(record)}\n`);
+
+// BigNumbers are stored as decimal strings
+const serialize = (entry) =>
+  Object.fromEntries(
+    Object.entries(entry)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => [
+        key,
+        value && typeof value === "object" && value._isBigNumber ? value.toString() : value,
+      ])
+  );
+
+// View of a journal limited to the mints of one ERC1155 token: mints recorded
+// through it carry `tokenId` and only those are returned
+const forToken = (handle, tokenId) => ({
+  ...handle,
+  recordMint: (entry) => handle.recordMint({ ...entry, tokenId }),
+  getWalletMints: (address) => handle.getWalletMints(address).filter((mint) => mint.tokenId === tokenId),
+  getMints: () => handle.getMints().filter((mint) => mint.tokenId === tokenId),
+});
+
+// View of a journal limited to the mints paid for one recipient address:
+// mints recorded through it carry `recipient` and only those are returned
+const forRecipient = (handle, recipient) => ({
+  ...handle,
+  recordMint: (entry) => handle.recordMint({ ...entry, recipient: recipient.toLowerCase() }),
+  getWalletMints: (address) =>
+    handle.getWalletMints(address).filter((mint) => mint.recipient === recipient.toLowerCase()),
+  getMints: () => handle.getMints().filter((mint) => mint.recipient === recipient.toLowerCase()),
+});
+
+const createJournalHandle = (file, job, mints) => ({
+  id: path.basename(file, JOURNAL_EXTENSION),
+  file,
+  job,
+
+  // Record the answers of a resumed run so a later resume uses them too
+  updateJob(fields) {
+    this.job = { ...this.job, ...fields, updatedAt: new Date().toISOString() };
+    appendLine(file, this.job);
+    return this.job;
+  },
+
+  // Merge `entry` into the mint with the same hash and persist the result
+  recordMint: (entry) => {
+    const record = {
+      ...mints.get(entry.hash),
+      ...serialize(entry),
+      wallet: entry.wallet.toLowerCase(),
+      time: new Date().toISOString(),
+    };
+    appendLine(file, record);
+    mints.set(entry.hash, record);
+    return record;
+  },
+
+  getWalletMints: (address) =>
+    [...mints.values()]
+      .filter((mint) => mint.wallet === address.toLowerCase())
+      .sort((a, b) => a.nonce - b.nonce),
+
+  getMints: () => [...mints.values()],
+
+  forToken(tokenId) {
+    return forToken(this, tokenId);
+  },
+
+  forRecipient(recipient) {
+    return forRecipient(this, recipient);
+  },
+});
+
+// Replay a journal file without writing to it: the last job record and the
+// last state of every mint. A line torn by a crash mid-write is skipped.
+const readJournal = (file) => {
+  const content = fs.readFileSync(file, "utf8");
+  const records = [];
+  for (const line of content.split("\n").filter(Boolean)) {
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {}
+  }
+
+  if (records[0]?.type !== "job") {
+    throw new Error(`Journal ${file} does not start with a job record`);
+  }
+  let job = null;
+  const mints = new Map();
+  for (const record of records) {
+    if (record.type === "job") {
+      job = record;
+    } else {
+      mints.set(record.hash, record);
+    }
+  }
+  return { job, mints, torn: Boolean(content) && !content.endsWith("\n") };
+};
+
+export const listJournals = () => {
+  if (!fs.existsSync(ENV.JOURNAL_DIR)) {
+    return [];
+  }
+  return fs
+    .readdirSync(ENV.JOURNAL_DIR)
+    .filter((name) => name.endsWith(JOURNAL_EXTENSION))
+    .map((name) => path.basename(name, JOURNAL_EXTENSION))
+    .sort();
+};
+
+/**
+ * Start the journal of a new job. `job` is stored as the first line and
+ * returned by `openJournal` when the job is resumed.
+ */
+export const createJournal = (job) => {
+  // Ids sort by creation time: 20250301-141503-1a2b3c
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+  const id = `${stamp}-${job.contractAddress.slice(2, 8).toLowerCase()}`;
+  const file = getJournalPath(id);
+
+  fs.mkdirSync(ENV.JOURNAL_DIR, { recursive: true });
+  const record = { type: "job", createdAt: new Date().toISOString(), ...job };
+  appendLine(file, record);
+  return createJournalHandle(file, record, new Map());
+};
+
+// Open a journal by id, file path or "latest"
+export const openJournal = (idOrPath) => {
+  let file = idOrPath;
+  if (idOrPath === "latest") {
+    const latest = listJournals().pop();
+    if (!latest) {
+      throw new Error(`No journal found in ${ENV.JOURNAL_DIR}`);
+    }
+    file = getJournalPath(latest);
+  } else if (!fs.existsSync(file)) {
+    file = getJournalPath(idOrPath);
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`Journal not found: ${idOrPath}`);
+  }
+
+  const { job, mints, torn } = readJournal(file);
+  // A line torn by a crash mid-write is closed so the next record starts on a
+  // line of its own
+  if (torn) {
+    appendSynced(file, "\n");
+  }
+  return createJournalHandle(file, job, mints);
+};
+
+/**
+ * Tokens minted from a contract (of ERC1155 token `tokenId` when given) per
+ * address, according to every journal in JOURNAL_DIR, for contracts without an
+ * on-chain per-wallet counter: a Map from lowercase address to count. Mints
+ * paid for a recipient count for the recipient, not for the paying wallet.
+ */
+export const countJournaledMints = ({ chainId, contractAddress, tokenId = null }) => {
+  const counts = new Map();
+  for (const id of listJournals()) {
+    let journal;
+    try {
+      journal = readJournal(getJournalPath(id));
+    } catch (error) {
+      continue;
+    }
+    const { job, mints } = journal;
+    if (job.chainId !== chainId || job.contractAddress?.toLowerCase() !== contractAddress.toLowerCase()) {
+      continue;
+    }
+    for (const mint of mints.values()) {
+      if (mint.status !== "confirmed" || (tokenId !== null && mint.tokenId !== tokenId)) {
+        continue;
+      }
+      const address = mint.recipient || mint.wallet;
+      counts.set(address, (counts.get(address) || 0) + (mint.quantity || 1));
+    }
+  }
+  return counts;
+};
+
+export default {
+  FINAL_MINT_STATUSES,
+  listJournals,
+  createJournal,
+  openJournal,
+  countJournaledMints,
+};
@@ -1,21 +1,43 @@
+import { ethers } from "ethers";
 import { get, post } from "../core/http.js";
+import { getNetwork } from "../../config/chain.js";
 
 const API_BASE_URL = "https://api-mainnet.magiceden.io";
 
+// Magic Eden chain slug of the selected network (ENV.NETWORK)
+export const getMagicEdenChain = () => {
+  const network = getNetwork();
+  if (!network.MAGIC_EDEN_CHAIN) {
+    throw new Error(`Magic Eden is not available on network ${network.name}`);
+  }
+  return network.MAGIC_EDEN_CHAIN;
+};
+
+export const TOKEN_PROTOCOLS = ["ERC721", "ERC1155"];
+
+/**
+ * Ask Magic Eden for the transaction minting `nftAmount` tokens of a public
+ * stage to `wallet`. `protocol` is "ERC721" or "ERC1155"; `tokenId` is only
+ * sent for ERC1155. Read the transaction with `getQuotedTransaction`.
+ */
 export const quoteMintData = async (
   nftContract,
   wallet,
-  chain = "monad-testnet",
+  chain = getMagicEdenChain(),
   nftAmount = 1,
-  tokenId = 0
+  tokenId = 0,
+  protocol = "ERC721"
 ) => {
+  if (!TOKEN_PROTOCOLS.includes(protocol)) {
+    throw new Error(`Unknown token protocol: ${protocol} (expected ${TOKEN_PROTOCOLS.join(", ")})`);
+  }
   const payload = {
     chain,
     collectionId: nftContract,
     kind: "public",
     nftAmount,
-    protocol: "ERC1155",
-    tokenId,
+    protocol,
+    ...(protocol === "ERC1155" && { tokenId }),
     wallet: { address: wallet, chain },
     address: wallet,
   };
@@ -23,8 +45,31 @@ export const quoteMintData = async (
   return post(`${API_BASE_URL}/v4/self_serve/nft/mint_token`, payload);
 };
 
+const isTransactionData = (value) =>
+  Boolean(value) && typeof value === "object" && typeof value.to === "string" && typeof value.data === "string";
+
+/**
+ * The transaction of a mint quote as `{ to, data, value, chainId, from }`
+ * (value, chainId and from as returned, possibly undefined): the first
+ * transaction item of its `steps`, or the quote itself when it is bare
+ * transaction data. Null when the quote holds no transaction.
+ */
+export const getQuotedTransaction = (quote) => {
+  const candidates = [
+    ...(quote?.steps || []).flatMap((step) => (step.items || []).map((item) => item.data)),
+    quote?.tx,
+    quote,
+  ];
+  const tx = candidates.find(isTransactionData);
+  if (!tx) {
+    return null;
+  }
+  const { to, data, value, chainId, from } = tx;
+  return { to, data, value, chainId, from };
+};
+
 export const getAvailableMints = async (
-  chain = "monad-testnet",
+  chain = getMagicEdenChain(),
   period = "1h",
   limit = 200
 ) => {
@@ -32,7 +77,96 @@ export const getAvailableMints = async (
   return get(url);
 };
 
+/**
+ * Contract address of the collection with this Magic Eden slug on `chain`.
+ */
+export const resolveCollectionSlug = async (slug, chain = getMagicEdenChain()) => {
+  const response = await get(`${API_BASE_URL}/v3/rtp/${chain}/collections/v7?slug=${encodeURIComponent(slug)}`);
+  const collection = response?.collections?.[0];
+  const address = collection?.primaryContract || collection?.id;
+  if (!address || !ethers.utils.isAddress(address)) {
+    throw new Error(`No collection "${slug}" found on Magic Eden (${chain})`);
+  }
+  return ethers.utils.getAddress(address);
+};
+
+// Periods the trending-mints ranking accepts
+export const MINT_PERIODS = ["5m", "10m", "30m", "1h", "2h", "6h", "24h"];
+
+const toSeconds = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const seconds = typeof value === "number" ? value : Date.parse(value) / 1000;
+  return Number.isFinite(seconds) ? Math.floor(seconds) : null;
+};
+
+const toCount = (value) => (Number.isFinite(Number(value)) && value !== null ? Number(value) : null);
+
+// Price in wei of a trending mint: its public stage price, else the decimal `mintPrice`
+const getMintPriceWei = (entry, stage) => {
+  const raw = stage?.price?.amount?.raw;
+  if (raw !== undefined) {
+    return ethers.BigNumber.from(raw);
+  }
+  if (entry.mintPrice === undefined || entry.mintPrice === null) {
+    return null;
+  }
+  try {
+    return ethers.utils.parseEther(Number(entry.mintPrice).toFixed(18));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * A trending mint as `{ address, name, price, free, minted, maxSupply,
+ * remaining, recentMints, startTime, endTime, status }`: price in wei,
+ * times in unix seconds, and null for anything the API left out.
+ */
+const normalizeMint = (entry) => {
+  const stages = entry.mintStages || [];
+  const stage = stages.find((candidate) => candidate.kind === "public") || stages[0];
+  const price = getMintPriceWei(entry, stage);
+  const minted = toCount(entry.tokenCount ?? entry.supply);
+  const maxSupply = toCount(entry.maxSupply);
+
+  return {
+    address: entry.id || entry.contract,
+    name: entry.name || "Unknown",
+    price,
+    free: entry.mintType === "free" || Boolean(price?.isZero()),
+    minted,
+    maxSupply,
+    remaining: minted !== null && maxSupply ? Math.max(0, maxSupply - minted) : null,
+    recentMints: toCount(entry.mintCount) ?? 0,
+    startTime: toSeconds(stage?.startTime ?? entry.startDate),
+    endTime: toSeconds(stage?.endTime ?? entry.endDate),
+    status: entry.mintStatus || null,
+  };
+};
+
+/**
+ * Mints trending on Magic Eden over `period` on the selected network,
+ * normalized (see normalizeMint) and ranked by the API.
+ */
+export const getTrendingMints = async ({ chain = getMagicEdenChain(), period = "1h", limit = 200 } = {}) => {
+  if (!MINT_PERIODS.includes(period)) {
+    throw new Error(`Unknown period: ${period} (expected ${MINT_PERIODS.join(", ")})`);
+  }
+  const response = await getAvailableMints(chain, period, limit);
+  return (response?.mints || [])
+    .map(normalizeMint)
+    .filter((mint) => mint.address && ethers.utils.isAddress(mint.address));
+};
+
 export default {
+  TOKEN_PROTOCOLS,
+  getMagicEdenChain,
   quoteMintData,
+  getQuotedTransaction,
   getAvailableMints,
+  resolveCollectionSlug,
+  MINT_PERIODS,
+  getTrendingMints,
 };
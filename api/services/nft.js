@@ -1,29 +1,38 @@
 import { ethers } from "ethers";
 import chalk from "chalk";
 import { ABI } from "../../config/ABI.js";
-import { createContract } from "../core/blockchain.js";
-import { log } from "../utils/helpers.js";
+import {
+  createContract,
+  formatNativeAmount,
+  getTransactionExplorerUrl,
+} from "../core/blockchain.js";
+import {
+  bumpFees,
+  speedUpTransaction,
+  cancelTransaction,
+  isUnderpricedError,
+} from "../core/replacement.js";
+import { log, sleep } from "../utils/helpers.js";
+import { getMagicEdenChain, quoteMintData, getQuotedTransaction } from "./magiceden.js";
+import {
+  MINT_ADAPTERS,
+  getConfigWithFallback,
+  getMintTransaction,
+  getTokenInterface,
+} from "./adapters.js";
+import { getReceivedTokens } from "./consolidation.js";
 
-export const getConfigWithFallback = async (contract) => {
-  let config;
+// Tokens of `tokenId` minted so far, or null when the contract does not count them
+export const getTokenSupply = async (contract, tokenId) => {
+  const supplyContract = new ethers.Contract(
+    contract.address,
+    ["function totalSupply(uint256) view returns (uint256)"],
+    contract.provider
+  );
   try {
-    config = await contract.getConfig();
-    return { config, variant: "twoParams" };
-  } catch (err) {}
-
-  let fallbackConfig;
-  const fallbackIds = [0, 1, 2, 3];
-  for (let id of fallbackIds) {
-    try {
-      fallbackConfig = await contract["getConfig(uint256)"](id);
-      return { config: fallbackConfig, variant: "fourParams" };
-    } catch (err) {}
-  }
-
-  if (fallbackConfig) {
-    return { config: fallbackConfig, variant: "fourParams" };
-  } else {
-    throw new Error("Unable to retrieve configuration");
+    return (await supplyContract.totalSupply(tokenId)).toNumber();
+  } catch (err) {
+    return null;
   }
 };
 
@@ -58,137 +67,859 @@ export const getCollectionInfo = async (address, provider) => {
   }
 };
 
-const checkMintConditions = async (contract) => {
-  try {
-    const config = await contract.getConfig();
-    const currentTime = Math.floor(Date.now() / 1000);
-    
-    // 检查公开铸造阶段
-    const publicStage = config.publicStage;
-    log.info("公开铸造阶段信息:");
-    log.info(`- 开始时间: ${new Date(publicStage.startTime.toNumber() * 1000).toLocaleString()}`);
-    log.info(`- 结束时间: ${new Date(publicStage.endTime.toNumber() * 1000).toLocaleString()}`);
-    log.info(`- 铸造价格: ${ethers.utils.formatEther(publicStage.price)} MON`);
-    
-    if (currentTime < publicStage.startTime.toNumber()) {
-      throw new Error(`公开铸造还未开始，将在 ${new Date(publicStage.startTime.toNumber() * 1000).toLocaleString()} 开始`);
-    }
-    
-    if (currentTime > publicStage.endTime.toNumber()) {
-      throw new Error('公开铸造已结束');
-    }
-
-    // 检查总供应量
-    if (config.maxSupply) {
-      const totalSupply = await contract.totalSupply().catch(() => null);
-      if (totalSupply !== null) {
-        log.info(`供应量: ${totalSupply}/${config.maxSupply}`);
-        if (totalSupply.gte(config.maxSupply)) {
-          throw new Error('已达到最大供应量');
+// Per-wallet mint counters of common launchpad contracts, most precise first.
+// balanceOf comes last: transfers in and out change it.
+const MINTED_COUNT_READS = [
+  "function totalMintedByAddress(address) view returns (uint256)",
+  "function numberMinted(address) view returns (uint256)",
+  "function mintedCount(address) view returns (uint256)",
+  "function balanceOf(address) view returns (uint256)",
+];
+// The same for one token of an ERC1155 collection
+const TOKEN_MINTED_COUNT_READS = [
+  "function balanceOf(address, uint256) view returns (uint256)",
+];
+
+/**
+ * Number of tokens `address` has minted from the contract (of ERC1155 token
+ * `tokenId` when given), read from the first counter it answers, as
+ * `{ count, source }`; null when it has none.
+ */
+export const getWalletMintedCount = async (contractAddress, address, provider, tokenId = null) => {
+  const reads = tokenId === null ? MINTED_COUNT_READS : TOKEN_MINTED_COUNT_READS;
+  const args = tokenId === null ? [address] : [address, tokenId];
+  for (const fragment of reads) {
+    const { name } = ethers.utils.Fragment.from(fragment);
+    const contract = new ethers.Contract(contractAddress, [fragment], provider);
+    try {
+      const count = await contract[name](...args);
+      return { count: count.toNumber(), source: name };
+    } catch (err) {}
+  }
+  return null;
+};
+
+/**
+ * "ERC721" or "ERC1155", from the interfaces the contract reports through
+ * ERC-165, else from which config getter it answers (getConfig(uint256) is
+ * the ERC1155 one).
+ */
+export const detectTokenProtocol = async (contractAddress, provider) => {
+  const protocol = await getTokenInterface(contractAddress, provider);
+  if (protocol) {
+    return protocol;
+  }
+
+  const { variant } = await getConfigWithFallback(createContract(contractAddress, ABI, provider));
+  return variant === "fourParams" ? "ERC1155" : "ERC721";
+};
+
+/**
+ * Quote a mint of `quantity` tokens for `wallet` from the Magic Eden API and
+ * check the returned transaction before anything is signed: it must call
+ * `contractAddress`, be meant for this chain and wallet, and send at most
+ * `maxValue`. Returns `{ to, data, value }`.
+ */
+export const quoteMintTransaction = async ({
+  contractAddress,
+  wallet,
+  protocol,
+  tokenId = 0,
+  quantity = 1,
+  maxValue,
+}) => {
+  const quote = await quoteMintData(contractAddress, wallet.address, getMagicEdenChain(), quantity, tokenId, protocol);
+  const tx = getQuotedTransaction(quote);
+  if (!tx) {
+    throw new Error("The Magic Eden quote holds no transaction");
+  }
+
+  if (!ethers.utils.isAddress(tx.to) || ethers.utils.getAddress(tx.to) !== ethers.utils.getAddress(contractAddress)) {
+    throw new Error(`The quoted transaction calls ${tx.to} instead of the collection ${contractAddress}`);
+  }
+  const { chainId } = await wallet.provider.getNetwork();
+  if (tx.chainId !== undefined && tx.chainId !== null && Number(tx.chainId) !== chainId) {
+    throw new Error(`The quoted transaction is for chain ${Number(tx.chainId)}, not ${chainId}`);
+  }
+  if (tx.from && tx.from.toLowerCase() !== wallet.address.toLowerCase()) {
+    throw new Error(`The quoted transaction is for ${tx.from}, not ${wallet.address}`);
+  }
+  const value = ethers.BigNumber.from(tx.value || 0);
+  if (value.gt(maxValue)) {
+    throw new Error(
+      `The quoted value ${formatNativeAmount(value)} is above the price cap of ${formatNativeAmount(maxValue)} for ${quantity} mint(s)`
+    );
+  }
+  return { to: tx.to, data: tx.data, value };
+};
+
+// Mints go to `mintOptions.recipient` when set, otherwise to the paying wallet
+const getMintRecipient = (wallet, mintOptions = {}) => mintOptions.recipient ?? wallet.address;
+
+// Value sent with a mint: the quoted value, or the price of `quantity` tokens
+const getMintValue = (mintPrice, quantity, { quotedTransaction } = {}) =>
+  quotedTransaction ? quotedTransaction.value : ethers.BigNumber.from(mintPrice).mul(quantity);
+
+/**
+ * Why a mint failed, as the `code` of its error. Errors the node reports with
+ * an ethers code of their own (INSUFFICIENT_FUNDS, NONCE_EXPIRED,
+ * REPLACEMENT_UNDERPRICED...) keep it; the others get one of these.
+ */
+export const MINT_ERRORS = {
+  QUOTE_FAILED: "Magic Eden quote failed",
+  SIMULATION_FAILED: "Every mint method would revert",
+  NOT_SENT: "Not sent",
+  SEND_FAILED: "Broadcast failed",
+  NONCE_USED: "Nonce used by another transaction",
+  DROPPED: "Transaction dropped",
+  WAIT_FAILED: "Receipt not received",
+  REVERTED: "Transaction reverted, mint conditions may not be met",
+  CANCELLED: "Mint cancelled",
+};
+
+const mintError = (code, message = MINT_ERRORS[code]) => Object.assign(new Error(message), { code });
+
+// Give `error` a MINT_ERRORS code unless ethers already classified it
+const withMintErrorCode = (error, code) =>
+  typeof error.code === "string" && error.code !== ethers.errors.UNKNOWN_ERROR
+    ? error
+    : Object.assign(error, { code });
+
+// Variants of `adapter` worth simulating for a minting method, in order of
+// preference; empty when the adapter has no such method
+export const getMintCandidates = (mintMethod, adapter = MINT_ADAPTERS.magicEden) => {
+  if (mintMethod === "quote") {
+    return ["quote"];
+  }
+  return adapter.candidates[mintMethod] || [];
+};
+
+// Custom errors commonly thrown by launchpad mint contracts, by selector
+const KNOWN_ERRORS = [
+  "PublicStageNotActive()",
+  "AllowlistStageNotActive()",
+  "NotActive()",
+  "NotEnoughValue()",
+  "InsufficientPayment()",
+  "WalletLimitExceeded()",
+  "WalletStageLimitExceeded()",
+  "CannotExceedMaxSupply()",
+  "MaxSupplyExceeded()",
+  "ExceedsMaxSupply()",
+  "InvalidProof()",
+  "InvalidStage()",
+  "MintNotEnabled()",
+].reduce((errors, signature) => {
+  errors[ethers.utils.id(signature).slice(0, 10)] = signature;
+  return errors;
+}, {});
+
+const isRevertData = (data) => typeof data === "string" && /^0x[0-9a-f]{8}/i.test(data);
+
+// Revert data sits at different depths depending on the RPC node and ethers' error wrapping
+const findRevertData = (error) => {
+  for (let current = error; current; current = current.error) {
+    if (isRevertData(current.data)) {
+      return current.data;
+    }
+    if (isRevertData(current.data?.data)) {
+      return current.data.data;
+    }
+    if (typeof current.body === "string") {
+      try {
+        const { error: rpcError } = JSON.parse(current.body);
+        if (isRevertData(rpcError?.data)) {
+          return rpcError.data;
         }
-      }
+      } catch (parseError) {}
     }
+  }
+  return null;
+};
 
-    // 检查每个钱包的限制
-    if (config.walletLimit) {
-      log.info(`每个钱包限制: ${config.walletLimit} 个`);
-    }
+// Turn a failed call/estimateGas into a readable revert reason
+export const decodeRevertReason = (error) => {
+  if (error.errorName) {
+    return error.errorArgs?.length
+      ? `${error.errorName}(${error.errorArgs.join(", ")})`
+      : error.errorName;
+  }
 
-    return true;
-  } catch (error) {
-    log.error("检查铸造条件时出错:", error.message);
-    return false;
+  const data = findRevertData(error);
+  if (data && data.length >= 10) {
+    const selector = data.slice(0, 10);
+    try {
+      if (selector === "0x08c379a0") {
+        return ethers.utils.defaultAbiCoder.decode(["string"], `0x${data.slice(10)}`)[0];
+      }
+      if (selector === "0x4e487b71") {
+        const [code] = ethers.utils.defaultAbiCoder.decode(["uint256"], `0x${data.slice(10)}`);
+        return `Panic(0x${code.toNumber().toString(16)})`;
+      }
+    } catch (decodeError) {}
+    return KNOWN_ERRORS[selector] || `Custom error ${selector}`;
   }
+
+  if (error.code === ethers.errors.CALL_EXCEPTION) {
+    return "Reverted without a reason (the function may not exist on this contract)";
+  }
+  if (error.reason) {
+    return error.reason;
+  }
+  return error.error?.message || error.message;
 };
 
-export const executeMint = async (
+/**
+ * Dry-run mint variants from the minting wallet with callStatic and
+ * estimateGas, without sending anything, each minting `quantity` tokens in
+ * one call. Returns one report per variant:
+ * `{ variant, ok: true, gasEstimate }` or `{ variant, ok: false, reason }`.
+ */
+export const simulateMintVariants = async ({
   contractAddress,
   wallet,
-  gasLimit,
-  maxFeePerGas,
-  mintVariant,
+  variants,
   mintPrice,
-  explorerUrl,
-  maxPriorityFeePerGas
-) => {
-  const contractWithWallet = createContract(contractAddress, ABI, wallet);
-  log.info(`钱包 ${wallet.address} 正在铸造 1 个 NFT (使用 ${mintVariant} 方式)`);
+  mintOptions = {},
+  quantity = 1,
+}) => {
+  const reports = [];
+
+  for (const variant of variants) {
+    try {
+      const tx = {
+        ...getMintTransaction(contractAddress, variant, getMintRecipient(wallet, mintOptions), { ...mintOptions, quantity }),
+        value: variant === "quote" ? mintOptions.quotedTransaction.value : getMintValue(mintPrice, quantity),
+      };
+      await wallet.call(tx);
+      const gasEstimate = await wallet.estimateGas(tx);
+      reports.push({ variant, ok: true, gasEstimate });
+    } catch (error) {
+      reports.push({ variant, ok: false, reason: decodeRevertReason(error) });
+    }
+  }
+
+  return reports;
+};
+
+// Simulate the candidates, log the outcome of each and pick the first that would succeed
+export const selectMintVariant = async (options) => {
+  const reports = await simulateMintVariants(options);
+  for (const report of reports) {
+    if (report.ok) {
+      log.success(`- ${report.variant}: would succeed (estimated gas ${report.gasEstimate.toString()})`);
+    } else {
+      log.warning(`- ${report.variant}: would revert - ${report.reason}`);
+    }
+  }
+  const selected = reports.find((report) => report.ok) || null;
+  return { variant: selected?.variant || null, gasEstimate: selected?.gasEstimate || null, reports };
+};
 
+const DROP_CHECK_INTERVAL = 30000; // How often a pending mint is checked for being dropped (milliseconds)
+const RECEIPT_POLL_INTERVAL = 2000; // How often pending mints look for a new block (milliseconds)
+
+const shortHash = (hash) => `${hash.substring(0, 6)}...${hash.substring(hash.length - 4)}`;
+
+const isNonceUsedError = (error) =>
+  /nonce too low|nonce has already been used|already known|known transaction/i.test(
+    `${error.message} ${error.error?.message || ""}`
+  );
+
+// Broadcast errors where the node refused the transaction itself, so no other
+// RPC endpoint can have accepted it either
+const isRejectedError = (error) =>
+  error.code === ethers.errors.INSUFFICIENT_FUNDS ||
+  /insufficient funds|intrinsic gas too low|invalid (transaction|sender|signature)|exceeds block gas limit|less than block base fee/i.test(
+    `${error.message} ${error.error?.message || ""}`
+  );
+
+/**
+ * Whether a mint whose broadcast threw still reached the network. A timeout or
+ * error from one endpoint does not mean another one dropped it, so its nonce is
+ * only given back when the pending count shows it is still free; otherwise the
+ * nonce manager continues from the pending count.
+ */
+const wasBroadcast = async (wallet, nonceManager, nonce, hash, error) => {
+  if (isRejectedError(error)) {
+    nonceManager.release(nonce);
+    return false;
+  }
   try {
-    let tx;
-    const txOptions = {
-      gasLimit,
-      maxFeePerGas,
-      maxPriorityFeePerGas,
-      value: mintPrice,
-    };
+    const pending = await wallet.getTransactionCount("pending");
+    if (pending <= nonce) {
+      nonceManager.release(nonce);
+      return false;
+    }
+    await nonceManager.resync();
+    return Boolean(await wallet.provider.getTransaction(hash));
+  } catch {
+    // Without a pending count, keep waiting on it: a drop is then filled like any other
+    return true;
+  }
+};
+
+// Zero-value self-transfer that takes over a nonce so later mints are not stuck behind it
+const fillNonceGap = async (wallet, nonce, txOptions) => {
+  const tx = await wallet.sendTransaction({
+    to: wallet.address,
+    value: 0,
+    nonce,
+    gasLimit: 21000,
+    maxFeePerGas: txOptions.maxFeePerGas,
+    maxPriorityFeePerGas: txOptions.maxPriorityFeePerGas,
+  });
+  return tx.wait();
+};
 
-    log.info(`交易参数: Gas限制=${gasLimit}, 最大费用=${ethers.utils.formatUnits(maxFeePerGas, 'gwei')}gwei, 优先费用=${ethers.utils.formatUnits(maxPriorityFeePerGas, 'gwei')}gwei, 价格=${ethers.utils.formatEther(mintPrice)}MON`);
+// Fees and call of a pending attempt, from its signed transaction or the node's copy
+const getPendingTransaction = (attempt) =>
+  attempt.tx || ethers.utils.parseTransaction(attempt.signedTransaction);
 
-    try {
-      // 优先尝试 fourParams 方式
-      if (mintVariant === "fourParams") {
-        tx = await contractWithWallet[
-          "mintPublic(address,uint256,uint256,bytes)"
-        ](wallet.address, 0, 1, "0x", txOptions);
+/**
+ * Result of a confirmed mint, read from its receipt: `{ nonce, hash,
+ * blockNumber, gasUsed, effectiveGasPrice, gasCost, cost, tokenIds,
+ * successVariant, quantity, receipt }`. `cost` is the gas paid plus the value
+ * sent; both are null when the node leaves out the effective gas price.
+ * `tokenIds` are the tokens of `contractAddress` that reached `recipient`.
+ */
+const getMintResult = ({ nonce, attempt, receipt, contractAddress, recipient, mintVariant, quantity }) => {
+  const { effectiveGasPrice = null } = receipt;
+  const gasCost = effectiveGasPrice ? receipt.gasUsed.mul(effectiveGasPrice) : null;
+  return {
+    nonce,
+    hash: attempt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    effectiveGasPrice,
+    gasCost,
+    cost: gasCost && gasCost.add(getPendingTransaction(attempt).value),
+    tokenIds: [...getReceivedTokens(receipt.logs, contractAddress, recipient).tokens.keys()],
+    successVariant: mintVariant,
+    quantity,
+    receipt,
+  };
+};
+
+const formatGwei = (value) => `${ethers.utils.formatUnits(value, "gwei")} gwei`;
+
+// Fees that outbid a stuck attempt under the stuck policy, or null when
+// they would exceed its fee ceiling
+const getReplacementFees = async (wallet, attempt, stuckPolicy) => {
+  const { baseFeePerGas } = await wallet.provider.getBlock("latest");
+  return bumpFees(getPendingTransaction(attempt), {
+    bumpPercent: stuckPolicy.bumpPercent,
+    ceiling: stuckPolicy.maxFeeCeiling,
+    baseFee: baseFeePerGas,
+  });
+};
+
+// Replace a stuck attempt at the same nonce: the same mint with higher fees,
+// or a cancelling self-transfer. Returns null when it could not be sent.
+const replaceStuckMint = async (wallet, attempt, fees, cancel) => {
+  try {
+    const replacement = cancel
+      ? await cancelTransaction(wallet, attempt.nonce, fees)
+      : await speedUpTransaction(wallet, getPendingTransaction(attempt), fees);
+    log.warning(
+      `Mint with nonce ${attempt.nonce} is stuck, ${cancel ? "cancelling it" : "speeding it up"} at max fee ${formatGwei(fees.maxFeePerGas)} [${shortHash(replacement.hash)}]`
+    );
+    return { ...replacement, cancel };
+  } catch (error) {
+    const reason = isUnderpricedError(error)
+      ? "the node requires a larger fee bump"
+      : error.reason || error.message;
+    log.warning(`Mint with nonce ${attempt.nonce} is stuck and could not be replaced: ${reason}`);
+    return null;
+  }
+};
+
+const isStuck = (stuckPolicy, sentAt, sentBlock, blockNumber) =>
+  (stuckPolicy.timeoutMs > 0 && Date.now() - sentAt >= stuckPolicy.timeoutMs) ||
+  (stuckPolicy.blocks > 0 && blockNumber - sentBlock >= stuckPolicy.blocks);
+
+/**
+ * Wait for the receipt of a mint or of one of its replacements, as
+ * `{ receipt, attempt }`. A mint still pending after the stuck policy's
+ * timeout or number of blocks is sped up (or cancelled) at the same nonce,
+ * again and again until it is mined or the fee ceiling is reached; each
+ * replacement is reported to `onReplaced(previous, replacement)`. A dropped
+ * transaction is rebroadcast once, then its nonce is filled.
+ */
+const waitForMintReceipt = async (wallet, entry, txOptions, stuckPolicy = null, onReplaced = () => {}) => {
+  const { provider } = wallet;
+  const attempts = [{ cancel: false, ...entry }];
+  let current = attempts[0];
+  let replacing = Boolean(stuckPolicy) && stuckPolicy.action !== "none";
+  let rebroadcast = false;
+  let lastBlock = -1;
+  let sentBlock = await provider.getBlockNumber();
+  let sentAt = Date.now();
+  let lastSeenAt = Date.now();
+
+  while (true) {
+    const blockNumber = await provider.getBlockNumber();
+    if (blockNumber !== lastBlock) {
+      lastBlock = blockNumber;
+      for (const attempt of attempts) {
+        const receipt = await provider.getTransactionReceipt(attempt.hash);
+        if (receipt) {
+          return { receipt, attempt };
+        }
+      }
+    }
+
+    if (Date.now() - lastSeenAt >= DROP_CHECK_INTERVAL) {
+      if (await provider.getTransaction(current.hash)) {
+        lastSeenAt = Date.now();
+      } else if (!rebroadcast && current.signedTransaction) {
+        rebroadcast = true;
+        lastSeenAt = Date.now();
+        log.warning(`Transaction [${shortHash(current.hash)}] was dropped, rebroadcasting nonce ${current.nonce}`);
+        try {
+          await provider.sendTransaction(current.signedTransaction);
+        } catch (error) {
+          if (isNonceUsedError(error)) {
+            throw mintError("NONCE_USED", `Nonce ${current.nonce} was used by another transaction`);
+          }
+        }
       } else {
-        tx = await contractWithWallet["mintPublic(address,uint256)"](
-          wallet.address,
-          1,
-          txOptions
+        log.warning(`Transaction [${shortHash(current.hash)}] was dropped, filling nonce ${current.nonce} with a self-transfer`);
+        try {
+          await fillNonceGap(wallet, current.nonce, txOptions);
+        } catch (error) {
+          if (!isNonceUsedError(error)) {
+            throw error;
+          }
+        }
+        throw mintError("DROPPED", `Transaction dropped, nonce ${current.nonce} released`);
+      }
+    }
+
+    if (replacing && isStuck(stuckPolicy, sentAt, sentBlock, blockNumber)) {
+      const fees = await getReplacementFees(wallet, current, stuckPolicy);
+      if (!fees) {
+        log.warning(
+          `Mint with nonce ${current.nonce} is stuck, but outbidding it would exceed the fee ceiling of ${formatGwei(stuckPolicy.maxFeeCeiling)}; waiting`
         );
+        replacing = false;
+      } else {
+        const cancel = current.cancel || stuckPolicy.action === "cancel";
+        const replacement = await replaceStuckMint(wallet, current, fees, cancel);
+        if (replacement) {
+          attempts.push(replacement);
+          onReplaced(current, replacement);
+          current = replacement;
+          rebroadcast = false;
+          lastSeenAt = Date.now();
+        }
       }
+      sentAt = Date.now();
+      sentBlock = blockNumber;
+    }
+
+    await sleep(RECEIPT_POLL_INTERVAL);
+  }
+};
+
+// Sign one mint with a fixed nonce. The gas limit is given, so nothing is
+// estimated and the mint can be signed before the stage opens.
+const signMint = async (wallet, contractAddress, mintVariant, mintOptions, txOptions, nonce) => {
+  const unsignedTx = {
+    ...getMintTransaction(contractAddress, mintVariant, getMintRecipient(wallet, mintOptions), mintOptions),
+    ...txOptions,
+    nonce,
+  };
+  const signedTransaction = await wallet.signTransaction(
+    await wallet.populateTransaction(unsignedTx)
+  );
+  return { nonce, hash: ethers.utils.keccak256(signedTransaction), signedTransaction };
+};
+
+const getMintTxOptions = ({ gasLimit, maxFeePerGas, maxPriorityFeePerGas, mintPrice }) => ({
+  gasLimit,
+  maxFeePerGas,
+  maxPriorityFeePerGas,
+  value: mintPrice,
+});
 
-      log.success(
-        `铸造交易已发送! [${tx.hash.substring(0, 6)}...${tx.hash.substring(
-          tx.hash.length - 4
-        )}]`
-      );
-      log.dim(explorerUrl + tx.hash);
+// Gas limit, fees and value a mint was signed with
+const getSignedTxOptions = (signedTransaction) => {
+  const { gasLimit, maxFeePerGas, maxPriorityFeePerGas, value } = ethers.utils.parseTransaction(signedTransaction);
+  return { gasLimit, maxFeePerGas, maxPriorityFeePerGas, value };
+};
+
+const getEstimatedTxOptions = async (feeEstimator, txOptions) => {
+  const { maxFeePerGas, maxPriorityFeePerGas } = await feeEstimator.getFees();
+  return { ...txOptions, maxFeePerGas, maxPriorityFeePerGas };
+};
+
+// Mark mints `from`..`amount` as never sent
+const skipMints = (results, from, amount, reason) => {
+  log.warning(`${amount - from} mint(s) not sent: ${reason}`);
+  for (let i = from; i < amount; i++) {
+    results[i] = { nonce: null, hash: null, error: mintError("NOT_SENT", `Not sent: ${reason}`) };
+  }
+};
+
+// Journal a mint's state when the run keeps a journal (see services/journal.js)
+const journalMint = (journal, wallet, entry) => {
+  if (journal) {
+    journal.recordMint({ wallet: wallet.address, ...entry });
+  }
+};
+
+// Journal a signed mint before it is broadcast, so a crash right after the
+// broadcast still leaves a record to resume from
+const journalSignedMint = (journal, wallet, signedMint, mintVariant, txOptions, quantity = 1) =>
+  journalMint(journal, wallet, {
+    hash: signedMint.hash,
+    nonce: signedMint.nonce,
+    variant: mintVariant,
+    quantity,
+    status: "pending",
+    gasLimit: txOptions.gasLimit,
+    maxFeePerGas: txOptions.maxFeePerGas,
+    maxPriorityFeePerGas: txOptions.maxPriorityFeePerGas,
+    value: txOptions.value,
+    signedTransaction: signedMint.signedTransaction,
+  });
+
+// Journal a replacement of a stuck mint and close the attempt it replaces
+const journalReplacement = (journal, wallet, previous, replacement, mintVariant, quantity) => {
+  const { maxFeePerGas, maxPriorityFeePerGas } = getPendingTransaction(replacement);
+  journalMint(journal, wallet, { hash: previous.hash, status: "replaced", replacedBy: replacement.hash });
+  journalMint(journal, wallet, {
+    hash: replacement.hash,
+    nonce: replacement.nonce,
+    variant: mintVariant,
+    quantity,
+    status: "sent",
+    cancel: replacement.cancel || undefined,
+    replaces: previous.hash,
+    maxFeePerGas,
+    maxPriorityFeePerGas,
+    signedTransaction: replacement.signedTransaction,
+  });
+};
 
-      const receipt = await tx.wait();
-      
+// Wait for the receipts of broadcast mints and fill `results` at their index
+// (see getMintResult). Entries journaled as cancellations (`cancel`) end as
+// "cancelled", not minted. Minted token IDs are those `recipient` received.
+// An entry's own `txOptions` (the fees it was signed with) take precedence.
+// Replacements take over the entry's claim on `supply`.
+const waitForMints = (
+  wallet,
+  sent,
+  { contractAddress, txOptions, mintVariant, results, journal = null, stuckPolicy = null, supply = null }
+) =>
+  Promise.all(
+    sent.map(async ({ index, nonce, hash, signedTransaction, cancel = false, quantity = 1, recipient = wallet.address, ...entry }) => {
+      let latest = { hash };
+      let outcome;
+      try {
+        outcome = await waitForMintReceipt(
+          wallet,
+          { nonce, hash, signedTransaction, cancel },
+          entry.txOptions || txOptions,
+          stuckPolicy,
+          (previous, replacement) => {
+            latest = replacement;
+            supply?.replace(previous.hash, replacement.hash);
+            journalReplacement(journal, wallet, previous, replacement, mintVariant, quantity);
+          }
+        );
+      } catch (error) {
+        journalMint(journal, wallet, { hash: latest.hash, status: "failed", error: error.message });
+        log.error(`Mint with nonce ${nonce} failed: ${error.message}`);
+        results[index] = { nonce, hash: latest.hash, error: withMintErrorCode(error, "WAIT_FAILED") };
+        return;
+      }
+
+      const { receipt, attempt } = outcome;
+      // The replaced attempt can still win the race against its replacement
+      if (attempt.hash !== latest.hash) {
+        journalMint(journal, wallet, { hash: latest.hash, status: "replaced", replacedBy: attempt.hash });
+      }
+      const fields = {
+        hash: attempt.hash,
+        block: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        effectiveGasPrice: receipt.effectiveGasPrice,
+      };
       if (receipt.status === 0) {
-        throw new Error('交易执行失败，可能是合约条件不满足');
+        const error = mintError("REVERTED");
+        journalMint(journal, wallet, { ...fields, status: "reverted" });
+        log.error(`Mint with nonce ${nonce} failed: ${error.message}`);
+        results[index] = { nonce, hash: attempt.hash, error };
+        return;
       }
-      
-      log.success(`交易已在区块 [${receipt.blockNumber}] 中确认`);
-      log.info(`实际使用的 Gas: ${receipt.gasUsed.toString()}`);
-      
-      return { tx, successVariant: mintVariant };
-    } catch (err) {
-      // 如果 fourParams 失败，尝试 twoParams
-      if (mintVariant === "fourParams" && err.code === ethers.errors.CALL_EXCEPTION) {
-        log.warning("fourParams 方式失败，尝试 twoParams 方式");
-        tx = await contractWithWallet["mintPublic(address,uint256)"](
-          wallet.address,
-          1,
-          txOptions
-        );
-        return { tx, successVariant: "twoParams" };
+      if (attempt.cancel) {
+        const error = mintError("CANCELLED");
+        journalMint(journal, wallet, { ...fields, status: "cancelled" });
+        log.warning(`Mint with nonce ${nonce} cancelled in block [${receipt.blockNumber}]`);
+        results[index] = { nonce, hash: attempt.hash, error };
+        return;
       }
-      throw err;
+      journalMint(journal, wallet, { ...fields, status: "confirmed" });
+      log.success(`Mint with nonce ${nonce} confirmed in block [${receipt.blockNumber}]`);
+      results[index] = getMintResult({ nonce, attempt, receipt, contractAddress, recipient, mintVariant, quantity });
+    })
+  );
+
+/**
+ * Sign `amount` mints with sequential nonces from `nonceManager`, broadcast
+ * them back-to-back (or `delayMs` apart) and wait for all receipts together.
+ * A mint that cannot be broadcast hands its nonce to the next one, and a mint
+ * dropped from the mempool has its nonce filled, so one failure never leaves
+ * the later mints stuck. Each transaction mints `quantity` tokens (default 1)
+ * on contracts that accept a quantity. With a `stuckPolicy` (`{ action, timeoutMs, blocks,
+ * bumpPercent, maxFeeCeiling }`), a mint pending for too long is sped up or
+ * cancelled at its nonce. With a `feeEstimator` (see core/fees.js) the fees
+ * are evaluated again right before each mint is signed, instead of
+ * `maxFeePerGas` / `maxPriorityFeePerGas`. With a `supply` tracker (see
+ * services/supply.js) each mint claims its tokens first, and the burst stops
+ * once the collection sells out or the stage ends. Returns one result per
+ * transaction, in order: the confirmed mint as described by `getMintResult`,
+ * or `{ nonce, hash, error }` with the error `code` saying why it failed
+ * (see MINT_ERRORS).
+ */
+export const sendMintBurst = async ({
+  contractAddress,
+  wallet,
+  nonceManager,
+  mintVariant,
+  amount,
+  mintPrice,
+  gasLimit,
+  maxFeePerGas,
+  maxPriorityFeePerGas,
+  mintOptions = {},
+  quantity = 1,
+  delayMs = 0,
+  journal = null,
+  stuckPolicy = null,
+  feeEstimator = null,
+  supply = null,
+}) => {
+  const callOptions = { ...mintOptions, quantity };
+  let txOptions = getMintTxOptions({
+    gasLimit,
+    maxFeePerGas,
+    maxPriorityFeePerGas,
+    mintPrice: getMintValue(mintPrice, quantity, mintOptions),
+  });
+
+  const results = [];
+  const sent = [];
+  for (let i = 0; i < amount; i++) {
+    if (supply?.getStopReason()) {
+      skipMints(results, i, amount, supply.getStopReason());
+      break;
     }
-  } catch (err) {
-    if (err.code === ethers.errors.CALL_EXCEPTION) {
-      log.error("调用异常错误 - 可能是铸造条件不满足");
-      if (err.error && err.error.message) {
-        log.error("错误详情:", err.error.message);
+    if (i > 0 && delayMs > 0) {
+      await sleep(delayMs);
+    }
+
+    const nonce = await nonceManager.next();
+    let signedMint = null;
+    try {
+      if (feeEstimator) {
+        txOptions = await getEstimatedTxOptions(feeEstimator, txOptions);
       }
-    } else if (err.message.includes("INSUFFICIENT_FUNDS")) {
-      log.error("余额不足");
-    } else {
-      log.error(`错误: ${err.message}`);
-      if (err.error) {
-        log.error("详细错误:", err.error);
+      signedMint = await signMint(wallet, contractAddress, mintVariant, callOptions, txOptions, nonce);
+      const { hash, signedTransaction } = signedMint;
+      if (supply && !supply.claim(hash, quantity)) {
+        nonceManager.release(nonce);
+        skipMints(results, i, amount, supply.getStopReason() || "Not enough supply left");
+        break;
+      }
+      journalSignedMint(journal, wallet, signedMint, mintVariant, txOptions, quantity);
+      await wallet.provider.sendTransaction(signedTransaction);
+      journalMint(journal, wallet, { hash, status: "sent" });
+      log.success(`Mint ${i + 1}/${amount} sent with nonce ${nonce} [${shortHash(hash)}]`);
+      log.dim(getTransactionExplorerUrl(hash));
+      sent.push({ index: i, nonce, hash, signedTransaction, quantity, recipient: getMintRecipient(wallet, mintOptions), txOptions });
+    } catch (error) {
+      if (!signedMint) {
+        nonceManager.release(nonce);
+      } else if (await wasBroadcast(wallet, nonceManager, nonce, signedMint.hash, error)) {
+        const { hash, signedTransaction } = signedMint;
+        log.warning(`Mint ${i + 1}/${amount} reached the network despite: ${error.reason || error.message} [${shortHash(hash)}]`);
+        journalMint(journal, wallet, { hash, status: "sent" });
+        sent.push({ index: i, nonce, hash, signedTransaction, quantity, recipient: getMintRecipient(wallet, mintOptions), txOptions });
+        continue;
       }
+      if (signedMint) {
+        supply?.release(signedMint.hash);
+        journalMint(journal, wallet, { hash: signedMint.hash, status: "failed", error: error.reason || error.message });
+      }
+      log.error(`Mint ${i + 1}/${amount} could not be sent: ${error.reason || error.message}`);
+      results[i] = { nonce: null, hash: null, error: withMintErrorCode(error, "SEND_FAILED") };
     }
-    return { error: err.message };
   }
+
+  await waitForMints(wallet, sent, { contractAddress, txOptions, mintVariant, results, journal, stuckPolicy, supply });
+  sent.forEach(({ hash }) => supply?.release(hash));
+  return results;
+};
+
+/**
+ * Sign `amount` mints ahead of time with consecutive nonces starting at
+ * `startNonce`, without sending anything, at the fees of `feeEstimator` when
+ * given, each minting `quantity` tokens. Broadcast them later with
+ * `broadcastSignedMints`.
+ */
+export const signMintBatch = async ({
+  contractAddress,
+  wallet,
+  startNonce,
+  mintVariant,
+  amount,
+  mintPrice,
+  gasLimit,
+  maxFeePerGas,
+  maxPriorityFeePerGas,
+  mintOptions = {},
+  quantity = 1,
+  feeEstimator = null,
+}) => {
+  const callOptions = { ...mintOptions, quantity };
+  let txOptions = getMintTxOptions({
+    gasLimit,
+    maxFeePerGas,
+    maxPriorityFeePerGas,
+    mintPrice: getMintValue(mintPrice, quantity, mintOptions),
+  });
+  if (feeEstimator) {
+    txOptions = await getEstimatedTxOptions(feeEstimator, txOptions);
+  }
+
+  const signedMints = [];
+  for (let i = 0; i < amount; i++) {
+    const signedMint = await signMint(wallet, contractAddress, mintVariant, callOptions, txOptions, startNonce + i);
+    signedMints.push({ ...signedMint, quantity, recipient: getMintRecipient(wallet, mintOptions) });
+  }
+  return signedMints;
+};
+
+/**
+ * Broadcast mints signed by `signMintBatch` in nonce order, then wait for all
+ * receipts like `sendMintBurst`, journaling and replacing each at the fees it
+ * was signed with. A mint that cannot be broadcast stops the ones after it,
+ * since their nonces can no longer be mined; so does running out of `supply`.
+ */
+export const broadcastSignedMints = async ({
+  contractAddress,
+  wallet,
+  signedMints,
+  mintVariant,
+  journal = null,
+  stuckPolicy = null,
+  supply = null,
+}) => {
+  const results = [];
+  const sent = [];
+
+  for (const [index, { nonce, hash, signedTransaction, quantity = 1, recipient }] of signedMints.entries()) {
+    if (results.some(Boolean)) {
+      results[index] = { nonce, hash: null, error: mintError("NOT_SENT", "Not sent: an earlier nonce failed to broadcast") };
+      continue;
+    }
+    if (supply && !supply.claim(hash, quantity)) {
+      skipMints(results, index, signedMints.length, supply.getStopReason() || "Not enough supply left");
+      break;
+    }
+    const txOptions = getSignedTxOptions(signedTransaction);
+    journalSignedMint(journal, wallet, signedMints[index], mintVariant, txOptions, quantity);
+    try {
+      await wallet.provider.sendTransaction(signedTransaction);
+      journalMint(journal, wallet, { hash, status: "sent" });
+      log.success(`Mint ${index + 1}/${signedMints.length} sent with nonce ${nonce} [${shortHash(hash)}]`);
+      log.dim(getTransactionExplorerUrl(hash));
+      sent.push({ index, nonce, hash, signedTransaction, quantity, recipient, txOptions });
+    } catch (error) {
+      supply?.release(hash);
+      journalMint(journal, wallet, { hash, status: "failed", error: error.reason || error.message });
+      log.error(`Mint ${index + 1}/${signedMints.length} could not be sent: ${error.reason || error.message}`);
+      results[index] = { nonce, hash: null, error: withMintErrorCode(error, "SEND_FAILED") };
+    }
+  }
+
+  await waitForMints(wallet, sent, { contractAddress, mintVariant, results, journal, stuckPolicy, supply });
+  sent.forEach(({ hash }) => supply?.release(hash));
+  return results;
+};
+
+/**
+ * Settle mints a previous run journaled as pending or sent: look up their
+ * receipts, rebroadcast the signed transaction of any that never reached the
+ * network, and wait like `sendMintBurst`. Returns one result per entry.
+ */
+export const recoverJournaledMints = async ({
+  contractAddress,
+  wallet,
+  entries,
+  maxFeePerGas,
+  maxPriorityFeePerGas,
+  journal,
+  stuckPolicy = null,
+}) => {
+  const txOptions = { maxFeePerGas, maxPriorityFeePerGas };
+  const results = [];
+  const sent = [];
+
+  for (const [index, entry] of entries.entries()) {
+    const { hash, nonce, signedTransaction, variant, cancel, quantity, recipient } = entry;
+    const known =
+      (await wallet.provider.getTransactionReceipt(hash)) ||
+      (await wallet.provider.getTransaction(hash));
+    if (!known) {
+      log.warning(`Mint [${shortHash(hash)}] with nonce ${nonce} is unknown to the network, rebroadcasting`);
+      try {
+        await wallet.provider.sendTransaction(signedTransaction);
+        journalMint(journal, wallet, { hash, status: "sent" });
+      } catch (error) {
+        const failure = isNonceUsedError(error)
+          ? mintError("NONCE_USED", `Nonce ${nonce} was used by another transaction`)
+          : withMintErrorCode(new Error(error.reason || error.message), "SEND_FAILED");
+        journalMint(journal, wallet, { hash, status: "failed", error: failure.message });
+        log.error(`Mint with nonce ${nonce} could not be rebroadcast: ${failure.message}`);
+        results[index] = { nonce, hash, error: failure };
+        continue;
+      }
+    }
+    sent.push({ index, nonce, hash, signedTransaction, variant, cancel, quantity, recipient: recipient ?? wallet.address });
+  }
+
+  await Promise.all(
+    sent.map((item) =>
+      waitForMints(wallet, [item], {
+        contractAddress,
+        txOptions,
+        mintVariant: item.variant,
+        results,
+        journal,
+        stuckPolicy,
+      })
+    )
+  );
+  return results;
 };
 
 export default {
-  getConfigWithFallback,
+  MINT_ERRORS,
+  getTokenSupply,
   getCollectionInfo,
-  executeMint,
+  getWalletMintedCount,
+  detectTokenProtocol,
+  quoteMintTransaction,
+  getMintCandidates,
+  decodeRevertReason,
+  simulateMintVariants,
+  selectMintVariant,
+  sendMintBurst,
+  signMintBatch,
+  broadcastSignedMints,
+  recoverJournaledMints,
 };
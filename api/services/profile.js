@@ -0,0 +1,60 @@
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { ENV } from "../../config/env.chain.js";
+
+const PROFILE_EXTENSIONS = [".json", ".yaml", ".yml"];
+
+const isYamlFile = (file) => [".yaml", ".yml"].includes(path.extname(file));
+
+const resolveProfilePath = (nameOrPath) => {
+  if (fs.existsSync(nameOrPath) && fs.statSync(nameOrPath).isFile()) {
+    return nameOrPath;
+  }
+
+  const candidates = PROFILE_EXTENSIONS.includes(path.extname(nameOrPath))
+    ? [path.join(ENV.PROFILE_DIR, nameOrPath)]
+    : PROFILE_EXTENSIONS.map((ext) =>
+        path.join(ENV.PROFILE_DIR, `${nameOrPath}${ext}`)
+      );
+
+  return candidates.find((file) => fs.existsSync(file)) || null;
+};
+
+export const loadProfile = (nameOrPath) => {
+  const file = resolveProfilePath(nameOrPath);
+  if (!file) {
+    throw new Error(`Profile not found: ${nameOrPath}`);
+  }
+
+  const content = fs.readFileSync(file, "utf8");
+  const profile = isYamlFile(file) ? yaml.load(content) : JSON.parse(content);
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+    throw new Error(`Profile ${file} must contain a map of answers`);
+  }
+
+  return profile;
+};
+
+export const saveProfile = (nameOrPath, answers) => {
+  let file = nameOrPath;
+  if (!PROFILE_EXTENSIONS.includes(path.extname(file))) {
+    file = `${file}.json`;
+  }
+  if (path.dirname(file) === ".") {
+    file = path.join(ENV.PROFILE_DIR, file);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const content = isYamlFile(file)
+    ? yaml.dump(answers)
+    : `${JSON.stringify(answers, null, 2)}\n`;
+  fs.writeFileSync(file, content);
+
+  return file;
+};
+
+export default {
+  loadProfile,
+  saveProfile,
+};
@@ -0,0 +1,120 @@
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+
+// Columns of a CSV export, one row per wallet (or recipient) of every mint job
+const CSV_COLUMNS = [
+  "job",
+  "network",
+  "contract",
+  "tokenId",
+  "walletId",
+  "label",
+  "wallet",
+  "address",
+  "requested",
+  "minted",
+  "status",
+  "errorCode",
+  "error",
+  "transactions",
+  "tokenIds",
+  "gasUsed",
+  "cost",
+];
+
+const EXPORT_FORMATS = [".json", ".csv"];
+
+/**
+ * Files given to `--export`, comma-separated: each must end in .json or .csv,
+ * which decides its format. Checked before anything is minted.
+ */
+export const parseExportFiles = (value) => {
+  const files = value ? value.split(",").map((file) => file.trim()).filter(Boolean) : [];
+  for (const file of files) {
+    if (!EXPORT_FORMATS.includes(path.extname(file).toLowerCase())) {
+      throw new Error(`Invalid value for --export: ${file} must end in ${EXPORT_FORMATS.join(" or ")}`);
+    }
+  }
+  return files;
+};
+
+// Plain values of a wallet summary from main.js, with its job: amounts as
+// decimal strings (cost in the network currency)
+const toRecord = (job, summary) => ({
+  job: job.jobId,
+  network: job.network,
+  contract: job.contractAddress,
+  tokenId: job.tokenId,
+  walletId: summary.id,
+  label: summary.label,
+  wallet: summary.wallet,
+  address: summary.address,
+  recipient: summary.recipient,
+  requested: summary.requested,
+  minted: summary.minted,
+  status: summary.status,
+  errorCode: summary.errorCode ?? null,
+  error: summary.error ?? null,
+  transactions: summary.transactions ?? [],
+  tokenIds: summary.tokenIds ?? [],
+  gasUsed: (summary.gasUsed ?? ethers.constants.Zero).toString(),
+  cost: ethers.utils.formatEther(summary.cost ?? ethers.constants.Zero),
+});
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Lists go into a single cell, space-separated
+export const formatSummaryCsv = (records) =>
+  [
+    CSV_COLUMNS.join(","),
+    ...records.map((record) =>
+      CSV_COLUMNS.map((column) =>
+        escapeCsv(Array.isArray(record[column]) ? record[column].join(" ") : record[column])
+      ).join(",")
+    ),
+  ].join("\n") + "\n";
+
+/**
+ * Collect the wallet summaries of every mint job of a run (one per ERC1155
+ * token, one per collection when browsing) for the totals and the export.
+ */
+export const createRunSummary = () => {
+  const records = [];
+
+  const getTotals = () => ({
+    requested: records.reduce((total, record) => total + record.requested, 0),
+    minted: records.reduce((total, record) => total + record.minted, 0),
+    transactions: records.reduce((total, record) => total + record.transactions.length, 0),
+    gasUsed: records.reduce((total, record) => total.add(record.gasUsed), ethers.constants.Zero).toString(),
+    cost: ethers.utils.formatEther(
+      records.reduce((total, record) => total.add(ethers.utils.parseEther(record.cost)), ethers.constants.Zero)
+    ),
+  });
+
+  return {
+    // `job`: { jobId, network, contractAddress, tokenId }
+    add: (job, summaries) => records.push(...summaries.map((summary) => toRecord(job, summary))),
+    getRecords: () => records,
+    getTotals,
+    // Write the summary to every file, as JSON or CSV by its extension
+    writeFiles: (files) =>
+      files.map((file) => {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        const content = path.extname(file).toLowerCase() === ".csv"
+          ? formatSummaryCsv(records)
+          : `${JSON.stringify({ createdAt: new Date().toISOString(), totals: getTotals(), results: records }, null, 2)}\n`;
+        fs.writeFileSync(file, content);
+        return file;
+      }),
+  };
+};
+
+export default {
+  parseExportFiles,
+  formatSummaryCsv,
+  createRunSummary,
+};
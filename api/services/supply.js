@@ -0,0 +1,199 @@
+import { ethers } from "ethers";
+import { waitForBlock } from "../core/blocks.js";
+import { log } from "../utils/helpers.js";
+
+const SUPPLY_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+  "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+  "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+  "function totalSupply() view returns (uint256)",
+  "function totalSupply(uint256 id) view returns (uint256)",
+];
+
+const supplyInterface = new ethers.utils.Interface(SUPPLY_ABI);
+const TRANSFER_TOPICS = ["Transfer", "TransferSingle", "TransferBatch"].map((name) =>
+  supplyInterface.getEventTopic(name)
+);
+
+// How often the latest block is polled for new mints (milliseconds)
+const SUPPLY_POLL_INTERVAL = 1000;
+
+export const STOP_REASONS = {
+  soldOut: "Sold out",
+  ended: "Stage ended",
+};
+
+// Tokens a log minted: transfers from the zero address, of `tokenId` only when given
+const countMinted = (entry, tokenId) => {
+  let event;
+  try {
+    event = supplyInterface.parseLog(entry);
+  } catch (error) {
+    return 0;
+  }
+  if (event.args.from !== ethers.constants.AddressZero) {
+    return 0;
+  }
+  if (event.name === "Transfer") {
+    return tokenId === null ? 1 : 0;
+  }
+  const ids = event.name === "TransferSingle" ? [event.args.id] : event.args.ids;
+  const values = event.name === "TransferSingle" ? [event.args.value] : event.args.values;
+  return ids.reduce(
+    (total, id, index) => (tokenId === null || id.eq(tokenId) ? total + values[index].toNumber() : total),
+    0
+  );
+};
+
+/**
+ * Track a collection's supply live during a run. The count starts from
+ * `totalSupply()` (of `tokenId` for ERC1155) and grows with every token
+ * transferred from the zero address in new blocks, whoever minted it.
+ *
+ * Our own mints are claimed by hash before they are broadcast, so a burst
+ * never sends more than the supply left; a claim moves to the replacement
+ * of a stuck mint and ends when a Transfer event of either is seen or it is
+ * released. `getStopReason()` turns non-null once the
+ * collection sells out or a block passes the stage `endTime`. Call `stop()`
+ * when the run is over; tracking ends with the next block.
+ */
+export const createSupplyTracker = async (
+  provider,
+  { contractAddress, maxSupply = 0, endTime = 0, tokenId = null }
+) => {
+  const contract = new ethers.Contract(contractAddress, SUPPLY_ABI, provider);
+  const max = ethers.BigNumber.from(maxSupply).toNumber();
+
+  let minted = null;
+  if (max > 0) {
+    try {
+      const supply = tokenId === null
+        ? await contract["totalSupply()"]()
+        : await contract["totalSupply(uint256)"](tokenId);
+      minted = supply.toNumber();
+    } catch (error) {
+      log.warning("The contract has no readable totalSupply, mints are not checked against the supply");
+    }
+  }
+
+  const claims = new Map();
+  // Hash of a replaced mint -> hash of its replacement, which holds the claim
+  const replacements = new Map();
+  let lastBlock = await provider.getBlockNumber();
+  let stopReason = null;
+  let stopped = false;
+
+  // Hash a mint's claim is kept under, after any replacements
+  const getClaimHash = (hash) => {
+    let current = hash;
+    while (replacements.has(current)) {
+      current = replacements.get(current);
+    }
+    return current;
+  };
+
+  const getClaimed = () => [...claims.values()].reduce((total, quantity) => total + quantity, 0);
+
+  const logProgress = () =>
+    log.dim(`Supply: ${minted}/${max} minted, ${Math.max(0, max - minted)} left`);
+
+  const setStopReason = (reason, message) => {
+    if (!stopReason) {
+      stopReason = reason;
+      log.warning(`${message}, no further mints are sent`);
+    }
+  };
+
+  const checkSoldOut = () => {
+    if (minted !== null && minted >= max) {
+      setStopReason(STOP_REASONS.soldOut, "The collection sold out");
+    }
+  };
+
+  const handleBlock = async (block) => {
+    if (stopped) {
+      return true;
+    }
+    if (minted !== null && block.number > lastBlock) {
+      let logs;
+      try {
+        logs = await provider.getLogs({
+          address: contractAddress,
+          topics: [TRANSFER_TOPICS],
+          fromBlock: lastBlock + 1,
+          toBlock: block.number,
+        });
+      } catch (error) {
+        // The same range is read again with the next block
+        log.warning(`Unable to read mint events: ${error.reason || error.message}`);
+        return false;
+      }
+      let newMints = 0;
+      for (const entry of logs) {
+        newMints += countMinted(entry, tokenId);
+        claims.delete(getClaimHash(entry.transactionHash));
+      }
+      lastBlock = block.number;
+      if (newMints > 0) {
+        minted += newMints;
+        logProgress();
+      }
+      checkSoldOut();
+    }
+    if (endTime > 0 && block.timestamp > endTime) {
+      setStopReason(STOP_REASONS.ended, "The stage ended");
+    }
+    return stopReason !== null;
+  };
+
+  if (minted !== null) {
+    logProgress();
+    checkSoldOut();
+  }
+  waitForBlock(provider, handleBlock, { intervalMs: SUPPLY_POLL_INTERVAL }).catch((error) => {
+    log.warning(`Supply tracking stopped: ${error.message}`);
+  });
+
+  return {
+    getStopReason: () => stopReason,
+
+    // Supply not minted or claimed yet; null when it is unknown
+    getRemaining: () => (minted === null ? null : Math.max(0, max - minted - getClaimed())),
+
+    // Reserve supply for one of our mints; false when not enough is left
+    claim: (hash, quantity = 1) => {
+      if (stopReason) {
+        return false;
+      }
+      if (minted !== null && minted + getClaimed() + quantity > max) {
+        return false;
+      }
+      claims.set(hash, quantity);
+      return true;
+    },
+
+    // A sped-up or cancelled mint now lands under `replacementHash`; whichever
+    // of the two is mined settles the one claim
+    replace: (hash, replacementHash) => {
+      const claimHash = getClaimHash(hash);
+      if (claims.has(claimHash)) {
+        claims.set(replacementHash, claims.get(claimHash));
+        claims.delete(claimHash);
+      }
+      replacements.set(claimHash, replacementHash);
+    },
+
+    release: (hash) => {
+      claims.delete(getClaimHash(hash));
+    },
+
+    stop: () => {
+      stopped = true;
+    },
+  };
+};
+
+export default {
+  STOP_REASONS,
+  createSupplyTracker,
+};
@@ -0,0 +1,123 @@
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { ENV } from "../../config/env.chain.js";
+
+// The vault is a directory of standard ethers JSON keystore files, one per
+// key, all encrypted with the same passphrase. The label and address are
+// stored unencrypted next to the ciphertext so keys can be listed without
+// unlocking the vault.
+
+const getKeystorePath = (address) =>
+  path.join(ENV.VAULT_DIR, `${address.toLowerCase()}.json`);
+
+const readKeystore = (file) => {
+  const json = fs.readFileSync(file, "utf8");
+  const keystore = JSON.parse(json);
+  return {
+    file,
+    json,
+    address: ethers.utils.getAddress(`0x${keystore.address.replace(/^0x/, "")}`),
+    label: keystore["x-label"] || null,
+  };
+};
+
+export const listVault = () => {
+  if (!fs.existsSync(ENV.VAULT_DIR)) {
+    return [];
+  }
+  return fs
+    .readdirSync(ENV.VAULT_DIR)
+    .filter((name) => name.endsWith(".json"))
+    .sort()
+    .map((name) => readKeystore(path.join(ENV.VAULT_DIR, name)))
+    .map(({ file, address, label }) => ({ file, address, label }));
+};
+
+export const hasVault = () => listVault().length > 0;
+
+const findKeystore = (addressOrLabel) => {
+  const match = listVault().find(
+    (entry) =>
+      entry.address.toLowerCase() === addressOrLabel.toLowerCase() ||
+      entry.label === addressOrLabel
+  );
+  if (!match) {
+    throw new Error(`No vault key matches ${addressOrLabel}`);
+  }
+  return readKeystore(match.file);
+};
+
+const decryptKeystore = async (keystore, passphrase) => {
+  try {
+    return await ethers.Wallet.fromEncryptedJson(keystore.json, passphrase);
+  } catch (error) {
+    throw new Error(`Unable to unlock ${keystore.address}: wrong passphrase?`);
+  }
+};
+
+// All keys share one passphrase: check it against an existing entry first
+const assertPassphrase = async (passphrase) => {
+  const [first] = listVault();
+  if (first) {
+    await decryptKeystore(readKeystore(first.file), passphrase);
+  }
+};
+
+export const importKey = async (privateKey, passphrase, label = null) => {
+  const wallet = new ethers.Wallet(privateKey.trim());
+  const file = getKeystorePath(wallet.address);
+  if (fs.existsSync(file)) {
+    throw new Error(`${wallet.address} is already in the vault`);
+  }
+  await assertPassphrase(passphrase);
+
+  const keystore = JSON.parse(await wallet.encrypt(passphrase));
+  if (label) {
+    keystore["x-label"] = label;
+  }
+
+  fs.mkdirSync(ENV.VAULT_DIR, { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(keystore, null, 2)}\n`, {
+    mode: 0o600,
+  });
+  return { file, address: wallet.address, label };
+};
+
+/**
+ * Decrypt every keystore in the vault. Returns wallet entries in the same
+ * shape as `loadWallets()`, carrying an unlocked `signer` instead of a raw
+ * private key.
+ */
+export const unlockVault = async (passphrase) => {
+  const wallets = [];
+  for (const entry of listVault()) {
+    const signer = await decryptKeystore(readKeystore(entry.file), passphrase);
+    wallets.push({
+      label: entry.label || `vault/${entry.address.slice(0, 8)}`,
+      address: signer.address,
+      signer,
+    });
+  }
+  return wallets;
+};
+
+export const exportKey = async (addressOrLabel, passphrase) => {
+  const signer = await decryptKeystore(findKeystore(addressOrLabel), passphrase);
+  return { address: signer.address, privateKey: signer.privateKey };
+};
+
+export const removeKey = (addressOrLabel) => {
+  const keystore = findKeystore(addressOrLabel);
+  fs.unlinkSync(keystore.file);
+  return { address: keystore.address, label: keystore.label };
+};
+
+export default {
+  listVault,
+  hasVault,
+  importKey,
+  unlockVault,
+  exportKey,
+  removeKey,
+};
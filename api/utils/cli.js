@@ -0,0 +1,559 @@
+import { parseArgs } from "util";
+import inquirer from "inquirer";
+import { ENV } from "../../config/env.chain.js";
+import { STUCK_ACTIONS, MIN_FEE_BUMP_PERCENT } from "../core/replacement.js";
+
+export const MINT_MODES = {
+  instant: "Instant Mint",
+  monitor: "Monitoring Mode",
+  scheduled: "Scheduled Mint",
+};
+
+// Flags that preset an answer of the interactive questionnaire in main.js
+const ANSWER_FLAGS = {
+  mode: {
+    name: "mintMode",
+    type: "string",
+    parse: (value) => MINT_MODES[value] || value,
+    description: "Minting mode: instant | monitor | scheduled",
+  },
+  "monitor-strategy": {
+    name: "monitorStrategy",
+    type: "string",
+    description: "How monitoring watches new blocks: ws | poll",
+  },
+  "monitor-interval": {
+    name: "monitorInterval",
+    type: "string",
+    description: "Block polling interval in seconds (MONITOR_INTERVAL)",
+  },
+  contract: {
+    name: "contractAddress",
+    type: "string",
+    description: "NFT contract address, Magic Eden link or explorer URL",
+  },
+  method: {
+    name: "mintMethod",
+    type: "string",
+    description: "Minting method: auto | fourParams | twoParams | allowlist | quote",
+  },
+  protocol: {
+    name: "tokenProtocol",
+    type: "string",
+    description: "Token standard for Magic Eden quotes: auto | ERC721 | ERC1155",
+  },
+  "token-id": {
+    name: "tokenIds",
+    type: "string",
+    description: "ERC1155 token ID(s) to mint, e.g. 1 or 0,2 (one job per token)",
+  },
+  allowlist: {
+    name: "allowlistFile",
+    type: "string",
+    description: "Allowlist file for the allowlist minting method",
+  },
+  recipients: {
+    name: "recipientsFile",
+    type: "string",
+    description: "File of address[,quantity] recipients to mint to, paid by the one selected wallet",
+  },
+  "contract-price": {
+    name: "useContractPrice",
+    type: "boolean",
+    description: "Fetch the mint price from the contract",
+  },
+  "no-contract-price": {
+    name: "useContractPrice",
+    type: "boolean",
+    parse: () => false,
+    description: "Do not fetch the mint price from the contract",
+  },
+  price: {
+    name: "price",
+    type: "string",
+    description: "Mint price in the network currency, e.g. MON (implies --no-contract-price)",
+  },
+  amount: {
+    name: "mintAmount",
+    type: "string",
+    description: "Number of mints per wallet",
+  },
+  "gas-limit": {
+    name: "gasLimit",
+    type: "string",
+    description: "Gas limit per transaction",
+  },
+  "max-gas-price": {
+    name: "maxGasPrice",
+    type: "string",
+    description: "Max fee cap in gwei, never exceeded by any transaction",
+  },
+  "fee-strategy": {
+    name: "feeStrategy",
+    type: "string",
+    description: "Fee strategy: normal | fast | fastest | percentile | fixed | custom",
+  },
+  "fee-percentile": {
+    name: "feePercentile",
+    type: "string",
+    description: "Percentile of recent priority fees (implies --fee-strategy percentile)",
+  },
+  "priority-fee-gwei": {
+    name: "priorityFee",
+    type: "string",
+    description: "Fixed priority fee in gwei (implies --fee-strategy fixed)",
+  },
+  "priority-fee": {
+    name: "priorityFeePercent",
+    type: "string",
+    description: "Priority fee as a percentage of the base fee (implies --fee-strategy custom)",
+  },
+};
+
+const integerSetting = (min) => (value) => {
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < min) {
+    throw new Error(`expected an integer >= ${min}`);
+  }
+  return num;
+};
+
+const numberSetting = (min) => (value) => {
+  const num = Number(value);
+  if (!Number.isFinite(num) || num < min) {
+    throw new Error(`expected a number >= ${min}`);
+  }
+  return num;
+};
+
+const choiceSetting = (choices) => (value) => {
+  if (!choices.includes(value)) {
+    throw new Error(`expected one of: ${choices.join(", ")}`);
+  }
+  return value;
+};
+
+// Run settings that are never prompted; they default to the .env values and
+// are stored in saved profiles next to the answers
+const SETTING_FLAGS = {
+  concurrency: {
+    name: "concurrency",
+    type: "string",
+    parse: integerSetting(1),
+    default: () => ENV.MAX_CONCURRENT_MINTS,
+    description: "Wallets minting in parallel (MAX_CONCURRENT_MINTS)",
+  },
+  stagger: {
+    name: "staggerMs",
+    type: "string",
+    parse: integerSetting(0),
+    default: () => ENV.WALLET_STAGGER_MS,
+    description: "Delay between wallet starts in ms (WALLET_STAGGER_MS)",
+  },
+  jitter: {
+    name: "jitterMs",
+    type: "string",
+    parse: integerSetting(0),
+    default: () => ENV.WALLET_JITTER_MS,
+    description: "Random extra delay of up to N ms (WALLET_JITTER_MS)",
+  },
+  "mint-delay": {
+    name: "mintDelayMs",
+    type: "string",
+    parse: integerSetting(0),
+    default: () => ENV.MINT_DELAY_MS,
+    description: "Delay between a wallet's mints in ms (MINT_DELAY_MS)",
+  },
+  "stuck-action": {
+    name: "stuckAction",
+    type: "string",
+    parse: choiceSetting(Object.keys(STUCK_ACTIONS)),
+    default: () => ENV.STUCK_ACTION,
+    description: "Stuck mints: speedup | cancel | none (STUCK_ACTION)",
+  },
+  "stuck-timeout": {
+    name: "stuckTimeout",
+    type: "string",
+    parse: integerSetting(0),
+    default: () => ENV.STUCK_TIMEOUT,
+    description: "Seconds before a pending mint counts as stuck, 0 = off (STUCK_TIMEOUT)",
+  },
+  "stuck-blocks": {
+    name: "stuckBlocks",
+    type: "string",
+    parse: integerSetting(0),
+    default: () => ENV.STUCK_BLOCKS,
+    description: "Blocks before a pending mint counts as stuck, 0 = off (STUCK_BLOCKS)",
+  },
+  "fee-bump": {
+    name: "feeBumpPercent",
+    type: "string",
+    parse: integerSetting(MIN_FEE_BUMP_PERCENT),
+    default: () => ENV.FEE_BUMP_PERCENT,
+    description: "Fee increase per replacement in % (FEE_BUMP_PERCENT)",
+  },
+  "fee-ceiling": {
+    name: "feeCeiling",
+    type: "string",
+    parse: numberSetting(0),
+    default: () => ENV.MAX_FEE_CEILING,
+    description: "Highest max fee for replacements in gwei, 0 = the max fee cap (MAX_FEE_CEILING)",
+  },
+};
+
+const GENERAL_FLAGS = {
+  wallets: {
+    type: "string",
+    short: "w",
+    description: "Wallets to use: ids, id ranges or labels (e.g. 1-3,team-a)",
+  },
+  profile: {
+    type: "string",
+    short: "p",
+    description: "Load answers from a saved profile (name or file path)",
+  },
+  "save-profile": {
+    type: "string",
+    description: "Save this session's answers as a profile",
+  },
+  resume: {
+    type: "string",
+    description: "Resume a journaled job: its id, journal file or \"latest\"",
+  },
+  export: {
+    type: "string",
+    description: "Write the run summary to a .json and/or .csv file (comma-separated)",
+  },
+  "non-interactive": {
+    type: "boolean",
+    short: "y",
+    description: "Never prompt; use defaults and fail on missing values",
+  },
+  help: {
+    type: "boolean",
+    short: "h",
+    description: "Show this help",
+  },
+};
+
+// Subcommands with their positional usage and command-specific flags
+const COMMANDS = {
+  vault: {
+    usage: "vault <import|list|export|remove> [address|label]",
+    description: "Manage the encrypted keystore vault",
+    flags: {
+      label: {
+        type: "string",
+        description: "Label for the imported key",
+      },
+      "from-env": {
+        type: "boolean",
+        description: "Import every PRIVATEKEY* wallet from .env",
+      },
+    },
+  },
+  tx: {
+    usage: "tx <speedup|cancel> <hash|nonce>",
+    description: "Speed up or cancel a pending transaction (a nonce needs --wallets with one wallet)",
+    flags: {},
+  },
+  fund: {
+    usage: "fund --funder <wallet> (--contract <address> | --price <amount>)",
+    description: "Top up the selected wallets from the funder with what the mint needs (--amount, --gas-limit, --max-gas-price, --token-id)",
+    flags: {
+      funder: {
+        type: "string",
+        description: "Wallet sending and receiving the funds: an id or label (FUNDER_WALLET)",
+      },
+      batch: {
+        type: "string",
+        description: "Transfers sent at once before waiting for them (default 1)",
+      },
+      "dry-run": {
+        type: "boolean",
+        description: "Only show the balances and what would be sent",
+      },
+    },
+  },
+  sweep: {
+    usage: "sweep --funder <wallet> [--keep <amount>] [--dry-run]",
+    description: "Send what is left in the selected wallets back to the funder",
+    flags: {
+      keep: {
+        type: "string",
+        description: "Amount left in each wallet on top of the transfer gas (default 0)",
+      },
+    },
+  },
+  consolidate: {
+    usage: "consolidate --to <address> (--job <id|latest> | --contract <address>)",
+    description: "Move the NFTs minted by a job, or held by the selected wallets, to one address",
+    flags: {
+      to: {
+        type: "string",
+        description: "Address receiving the NFTs (NFT_VAULT_ADDRESS)",
+      },
+      job: {
+        type: "string",
+        description: "Journaled mint job whose minted tokens are moved: id, file or \"latest\"",
+      },
+      "from-block": {
+        type: "string",
+        description: "With --contract, scan transfers from this block (unless the contract enumerates owners)",
+      },
+      "dry-run": {
+        type: "boolean",
+        description: "Only list the tokens that would be moved",
+      },
+    },
+  },
+  browse: {
+    usage: "browse",
+    description: "List trending Magic Eden mints of the network and mint the ones picked",
+    flags: {
+      period: {
+        type: "string",
+        description: "Trending over: 5m | 10m | 30m | 1h | 2h | 6h | 24h (default 1h)",
+      },
+      sort: {
+        type: "string",
+        description: "Order: trending | mints | price | remaining | start",
+      },
+      free: {
+        type: "boolean",
+        description: "Only free mints",
+      },
+      "max-price": {
+        type: "string",
+        description: "Only mints at or below this price",
+      },
+      "min-remaining": {
+        type: "string",
+        description: "Only mints with at least this much supply left",
+      },
+      "starts-within": {
+        type: "string",
+        description: "Only mints live or starting within N minutes",
+      },
+      limit: {
+        type: "string",
+        description: "Number of mints listed (default 20)",
+      },
+      pick: {
+        type: "string",
+        description: "Mint these list numbers without prompting, e.g. 1,3-4",
+      },
+    },
+  },
+};
+
+const toParseArgsOptions = (flags) =>
+  Object.fromEntries(
+    Object.entries(flags).map(([flag, { type, short }]) => [
+      flag,
+      short ? { type, short } : { type },
+    ])
+  );
+
+const describeAnswer = (name) => {
+  const flag = Object.keys(ANSWER_FLAGS).find(
+    (key) => ANSWER_FLAGS[key].name === name
+  );
+  return flag ? `--${flag}` : name;
+};
+
+export const parseCliArgs = (argv = process.argv.slice(2)) => {
+  const commandFlags = Object.assign(
+    {},
+    ...Object.values(COMMANDS).map((command) => command.flags)
+  );
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: {
+      ...toParseArgsOptions(ANSWER_FLAGS),
+      ...toParseArgsOptions(SETTING_FLAGS),
+      ...toParseArgsOptions(GENERAL_FLAGS),
+      ...toParseArgsOptions(commandFlags),
+    },
+    allowPositionals: true,
+  });
+
+  const [command = null, ...commandArgs] = positionals;
+  if (command && !COMMANDS[command]) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  const answers = {};
+  for (const [flag, option] of Object.entries(ANSWER_FLAGS)) {
+    if (values[flag] === undefined) continue;
+    answers[option.name] = option.parse
+      ? option.parse(values[flag])
+      : values[flag];
+  }
+  if (answers.price !== undefined && answers.useContractPrice === undefined) {
+    answers.useContractPrice = false;
+  }
+  // A strategy-specific value selects its strategy
+  const impliedStrategy = { feePercentile: "percentile", priorityFee: "fixed", priorityFeePercent: "custom" };
+  for (const [name, strategy] of Object.entries(impliedStrategy)) {
+    if (answers[name] !== undefined && answers.feeStrategy === undefined) {
+      answers.feeStrategy = strategy;
+    }
+  }
+
+  const settings = {};
+  for (const [flag, option] of Object.entries(SETTING_FLAGS)) {
+    if (values[flag] !== undefined) {
+      settings[option.name] = values[flag];
+    }
+  }
+
+  return {
+    command,
+    commandArgs,
+    flags: values,
+    answers,
+    settings,
+    wallets: values.wallets,
+    profile: values.profile,
+    saveProfile: values["save-profile"],
+    resume: values.resume,
+    interactive: !values["non-interactive"],
+    help: Boolean(values.help),
+  };
+};
+
+export const getUsage = () => {
+  const formatFlags = (flags) =>
+    Object.entries(flags)
+      .map(([flag, { type, short, description }]) => {
+        const name = `${short ? `-${short}, ` : ""}--${flag}${
+          type === "string" ? " <value>" : ""
+        }`;
+        return `  ${name.padEnd(32)}${description}`;
+      })
+      .join("\n");
+
+  const commands = Object.values(COMMANDS).flatMap((command) => [
+    "",
+    `  me-mint ${command.usage}`,
+    `      ${command.description}`,
+    ...(Object.keys(command.flags).length > 0 ? [formatFlags(command.flags)] : []),
+  ]);
+
+  return [
+    "Usage: me-mint [options]",
+    "       me-mint <command> [args] [options]",
+    "",
+    "Mint options:",
+    formatFlags(ANSWER_FLAGS),
+    "",
+    "Run settings:",
+    formatFlags(SETTING_FLAGS),
+    "",
+    "General options:",
+    formatFlags(GENERAL_FLAGS),
+    "",
+    "Commands:",
+    ...commands,
+  ].join("\n");
+};
+
+/**
+ * Resolve the run settings from presets (flags or a profile), falling back to
+ * their .env defaults. Throws on invalid values.
+ */
+export const resolveSettings = (presets = {}) => {
+  const settings = {};
+  for (const [flag, option] of Object.entries(SETTING_FLAGS)) {
+    const value = presets[option.name] ?? option.default();
+    try {
+      settings[option.name] = option.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid value for --${flag}: ${error.message}`);
+    }
+  }
+  return settings;
+};
+
+// Settings explicitly given in the presets, for saving into a profile
+export const pickSettings = (presets = {}) =>
+  Object.fromEntries(
+    Object.values(SETTING_FLAGS)
+      .filter((option) => presets[option.name] !== undefined)
+      .map((option) => [option.name, presets[option.name]])
+  );
+
+const normalizePreset = (question, value) => {
+  if (question.type === "confirm") {
+    return typeof value === "boolean"
+      ? value
+      : String(value).toLowerCase() === "true";
+  }
+  if (question.type === "list") {
+    return value;
+  }
+  return String(value);
+};
+
+const checkPreset = (question, value) => {
+  if (question.type === "list") {
+    const values = question.choices.map((choice) =>
+      typeof choice === "object" ? choice.value : choice
+    );
+    return values.includes(value) || `expected one of: ${values.join(", ")}`;
+  }
+  return question.validate ? question.validate(value) : true;
+};
+
+/**
+ * Resolve a list of inquirer questions against preset answers (from flags or
+ * a profile). Presets go through the same validators as typed answers; the
+ * remaining questions are prompted, or filled from their defaults when
+ * running non-interactively.
+ */
+export const resolveAnswers = async (
+  questions,
+  presets = {},
+  { interactive = true } = {}
+) => {
+  const answers = {};
+
+  for (const question of questions) {
+    if (typeof question.when === "function" && !question.when(answers)) {
+      continue;
+    }
+
+    if (presets[question.name] !== undefined) {
+      const value = normalizePreset(question, presets[question.name]);
+      const result = checkPreset(question, value);
+      if (result !== true) {
+        throw new Error(
+          `Invalid value for ${describeAnswer(question.name)}: ${result}`
+        );
+      }
+      answers[question.name] = value;
+    } else if (!interactive) {
+      if (question.default === undefined) {
+        throw new Error(
+          `Missing required option ${describeAnswer(question.name)}`
+        );
+      }
+      answers[question.name] = question.default;
+    }
+  }
+
+  if (!interactive) {
+    return answers;
+  }
+  return inquirer.prompt(questions, answers);
+};
+
+export default {
+  MINT_MODES,
+  parseCliArgs,
+  getUsage,
+  resolveSettings,
+  pickSettings,
+  resolveAnswers,
+};
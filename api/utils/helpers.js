@@ -29,13 +29,17 @@ export const formatNumber = (num) => {
   return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
 };
 
+const joinMessage = (messages) => messages.join(" ");
+
 export const log = {
-  info: (message) => console.log(chalk.cyan(`> ${message}`)),
-  success: (message) => console.log(chalk.green(`+ ${message}`)),
-  error: (message) => console.log(chalk.red(`- ${message}`)),
-  warning: (message) => console.log(chalk.yellow(`! ${message}`)),
-  normal: (message) => console.log(`  ${message}`),
-  dim: (message) => console.log(chalk.dim(`  ${message}`)),
+  info: (...messages) => console.log(chalk.cyan(`> ${joinMessage(messages)}`)),
+  success: (...messages) =>
+    console.log(chalk.green(`+ ${joinMessage(messages)}`)),
+  error: (...messages) => console.log(chalk.red(`- ${joinMessage(messages)}`)),
+  warning: (...messages) =>
+    console.log(chalk.yellow(`! ${joinMessage(messages)}`)),
+  normal: (...messages) => console.log(`  ${joinMessage(messages)}`),
+  dim: (...messages) => console.log(chalk.dim(`  ${joinMessage(messages)}`)),
 };
 
 export default {
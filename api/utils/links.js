@@ -0,0 +1,134 @@
+import { ethers } from "ethers";
+import { getNetworks } from "../../config/chain.js";
+
+const MAGIC_EDEN_HOST = /(^|\.)magiceden\.(io|us)$/i;
+const ADDRESS_SEGMENT = /^0x[0-9a-f]{40}$/i;
+const TX_HASH_SEGMENT = /^0x[0-9a-f]{64}$/i;
+
+// Magic Eden EVM pages put the chain right after the route: /<route>/<chain>/<collection>[/<tokenId>]
+const MAGIC_EDEN_ROUTES = ["collections", "mint-terminal", "item-details", "launchpad", "collection"];
+// Magic Eden pages of a user or account, whose addresses are wallets, not collections
+const MAGIC_EDEN_ACCOUNT_ROUTES = ["u", "me", "profile", "wallet", "portfolio", "activity", "rewards", "settings"];
+
+const toUrl = (input) => {
+  const withProtocol = /^[a-z]+:\/\//i.test(input) ? input : `https://${input}`;
+  try {
+    return new URL(withProtocol);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Magic Eden chain slugs of the known networks: a link ending in one of them is
+// a chain page, not a collection
+const isMagicEdenChain = (segment) =>
+  Object.values(getNetworks()).some(
+    (network) => network.MAGIC_EDEN_CHAIN && network.MAGIC_EDEN_CHAIN.toLowerCase() === segment.toLowerCase()
+  );
+
+// Token IDs are numbers, as everywhere else a token ID is chosen
+const parseTokenId = (segment) => {
+  if (segment === undefined || !/^\d+$/.test(segment)) {
+    return null;
+  }
+  const tokenId = Number(segment);
+  if (!Number.isSafeInteger(tokenId)) {
+    throw new Error(`Token ID ${segment} of the link is too large`);
+  }
+  return tokenId;
+};
+
+const parseMagicEdenPath = (segments) => {
+  const routeIndex = segments.findIndex((segment) => MAGIC_EDEN_ROUTES.includes(segment.toLowerCase()));
+  if (routeIndex !== -1 && segments.length >= routeIndex + 3) {
+    const [chain, collection, tokenId] = segments.slice(routeIndex + 1);
+    return ADDRESS_SEGMENT.test(collection)
+      ? { address: ethers.utils.getAddress(collection), chain, tokenId: parseTokenId(tokenId) }
+      : { slug: collection, chain, tokenId: null };
+  }
+
+  const accountRoute = segments.find((segment) => MAGIC_EDEN_ACCOUNT_ROUTES.includes(segment.toLowerCase()));
+  if (accountRoute) {
+    throw new Error(`The Magic Eden link points to a /${accountRoute}/ page, not to a collection`);
+  }
+
+  // Other pages: a contract anywhere in the path, else the last segment as a slug
+  const addressIndex = segments.findIndex((segment) => ADDRESS_SEGMENT.test(segment));
+  if (addressIndex !== -1) {
+    return {
+      address: ethers.utils.getAddress(segments[addressIndex]),
+      chain: null,
+      tokenId: parseTokenId(segments[addressIndex + 1]),
+    };
+  }
+  const slug = segments[segments.length - 1];
+  if (!slug || MAGIC_EDEN_ROUTES.includes(slug.toLowerCase()) || isMagicEdenChain(slug)) {
+    throw new Error("The Magic Eden link names no collection");
+  }
+  return { slug, chain: null, tokenId: null };
+};
+
+// Explorer pages (/address/0x…, /token/0x…, /nft/0x…/1) carry the contract in the path
+const parseExplorerPath = (segments) => {
+  const addressIndex = segments.findIndex((segment) => ADDRESS_SEGMENT.test(segment));
+  if (addressIndex === -1) {
+    if (segments.some((segment) => TX_HASH_SEGMENT.test(segment))) {
+      throw new Error("The link points to a transaction, not to a contract");
+    }
+    throw new Error("No contract address found in the link");
+  }
+  return {
+    address: ethers.utils.getAddress(segments[addressIndex]),
+    chain: null,
+    tokenId: parseTokenId(segments[addressIndex + 1]),
+  };
+};
+
+/**
+ * Read a collection reference typed by the user: a contract address, a Magic
+ * Eden link (mint terminal, collection, item or launchpad page, with a
+ * contract or a slug) or an explorer URL. Query strings, fragments and
+ * trailing slashes are ignored.
+ *
+ * Returns `{ address, slug, chain, tokenId }`: either `address` (checksummed)
+ * or `slug` is set; `chain` is the Magic Eden chain segment when the link has
+ * one and `tokenId` the token (a number) of an item link, null otherwise.
+ */
+export const parseCollectionInput = (input) => {
+  const value = String(input || "").trim();
+  if (ADDRESS_SEGMENT.test(value)) {
+    return { address: ethers.utils.getAddress(value), slug: null, chain: null, tokenId: null };
+  }
+
+  const url = value.includes("/") || value.includes(".") ? toUrl(value) : null;
+  if (!url) {
+    throw new Error(`Expected a contract address, Magic Eden link or explorer URL, got "${value}"`);
+  }
+  const segments = url.pathname
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => decodeURIComponent(segment));
+
+  const parsed = MAGIC_EDEN_HOST.test(url.hostname) ? parseMagicEdenPath(segments) : parseExplorerPath(segments);
+  return { address: null, slug: null, ...parsed };
+};
+
+/**
+ * Throw when a link's Magic Eden chain is not the one of `network` (from
+ * `getNetwork`), so a mainnet link is never used on testnet or the other way
+ * round. Links without a chain pass.
+ */
+export const checkLinkChain = (chain, network) => {
+  if (chain && chain.toLowerCase() !== String(network.MAGIC_EDEN_CHAIN).toLowerCase()) {
+    throw new Error(
+      `The link is for ${chain} on Magic Eden, but the selected network is ${network.name}${
+        network.MAGIC_EDEN_CHAIN ? ` (${network.MAGIC_EDEN_CHAIN})` : ""
+      }`
+    );
+  }
+};
+
+export default {
+  parseCollectionInput,
+  checkLinkChain,
+};
@@ -0,0 +1,56 @@
+import { ethers } from "ethers";
+
+// Sorted-pair keccak256 Merkle tree, compatible with OpenZeppelin's
+// MerkleProof and Solady's MerkleProofLib. An unpaired node is promoted to
+// the next layer unchanged.
+
+const hashPair = (a, b) =>
+  ethers.BigNumber.from(a).lt(ethers.BigNumber.from(b))
+    ? ethers.utils.keccak256(ethers.utils.concat([a, b]))
+    : ethers.utils.keccak256(ethers.utils.concat([b, a]));
+
+export const buildMerkleTree = (leaves) => {
+  if (leaves.length === 0) {
+    throw new Error("Cannot build a Merkle tree without leaves");
+  }
+
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const current = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(
+        i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]
+      );
+    }
+    layers.push(next);
+  }
+
+  return layers;
+};
+
+export const getMerkleRoot = (layers) => layers[layers.length - 1][0];
+
+export const getMerkleProof = (layers, index) => {
+  const proof = [];
+  for (let level = 0; level < layers.length - 1; level++) {
+    const layer = layers[level];
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+    if (siblingIndex < layer.length) {
+      proof.push(layer[siblingIndex]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+};
+
+export const verifyMerkleProof = (leaf, proof, root) =>
+  proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf) ===
+  root.toLowerCase();
+
+export default {
+  buildMerkleTree,
+  getMerkleRoot,
+  getMerkleProof,
+  verifyMerkleProof,
+};
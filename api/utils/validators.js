@@ -0,0 +1,101 @@
+import fs from "fs";
+import { ethers } from "ethers";
+import { parseCollectionInput } from "./links.js";
+
+// Validators follow the inquirer convention: return true when the input is
+// valid, otherwise a message describing the problem.
+
+export const validateMintAmount = (input) => {
+  const num = parseInt(input);
+  if (isNaN(num) || num < 1) {
+    return "Please enter a number greater than 0";
+  }
+  return true;
+};
+
+export const validateGasLimit = (input) => {
+  const num = parseInt(input);
+  if (isNaN(num) || num < 100000) {
+    return "Gas Limit cannot be less than 100000";
+  }
+  return true;
+};
+
+export const createMaxGasPriceValidator = (baseFee) => (input) => {
+  const num = parseFloat(input);
+  const baseFeeGwei = ethers.utils.formatUnits(baseFee, "gwei");
+  if (isNaN(num) || num < parseFloat(baseFeeGwei)) {
+    return `Gas Price cannot be lower than current Base Fee (${baseFeeGwei} gwei)`;
+  }
+  return true;
+};
+
+export const validatePriorityFeePercent = (input) => {
+  if (input === "") return true;
+  const num = parseFloat(input);
+  if (isNaN(num) || num <= 0 || num > 100) {
+    return "Please enter a number between 1 and 100";
+  }
+  return true;
+};
+
+export const validateFeePercentile = (input) => {
+  const num = parseFloat(input);
+  if (isNaN(num) || num < 1 || num > 99) {
+    return "Please enter a percentile between 1 and 99";
+  }
+  return true;
+};
+
+export const validatePriorityFee = (input) => {
+  const num = parseFloat(input);
+  if (isNaN(num) || num < 0) {
+    return "Please enter a priority fee in gwei (0 or more)";
+  }
+  return true;
+};
+
+export const validateMonitorInterval = (input) => {
+  const num = parseFloat(input);
+  if (isNaN(num) || num <= 0) {
+    return "Please enter a number of seconds greater than 0";
+  }
+  return true;
+};
+
+export const validatePrice = (input) => {
+  const num = parseFloat(input);
+  if (isNaN(num)) {
+    return "Please enter a valid number";
+  }
+  return true;
+};
+
+export const validateFilePath = (input) => {
+  if (!input || !fs.existsSync(input) || !fs.statSync(input).isFile()) {
+    return `File not found: ${input}`;
+  }
+  return true;
+};
+
+export const validateCollectionInput = (input) => {
+  try {
+    parseCollectionInput(input);
+    return true;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+export default {
+  validateMintAmount,
+  validateGasLimit,
+  createMaxGasPriceValidator,
+  validatePriorityFeePercent,
+  validateFeePercentile,
+  validatePriorityFee,
+  validateMonitorInterval,
+  validatePrice,
+  validateFilePath,
+  validateCollectionInput,
+};
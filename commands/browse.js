@@ -0,0 +1,174 @@
+import inquirer from 'inquirer';
+import { ethers } from 'ethers';
+import { formatNativeAmount } from '../api/core/blockchain.js';
+import { getMagicEdenChain, getTrendingMints } from '../api/services/magiceden.js';
+import { log, getTimeRemaining } from '../api/utils/helpers.js';
+
+export const SORT_KEYS = {
+  trending: 'In trending order',
+  mints: 'Most mints in the period first',
+  price: 'Cheapest first',
+  remaining: 'Least supply remaining first',
+  start: 'Soonest start first'
+};
+
+// Missing values sort last whatever the order
+const compareBy = (key, descending = false) => (a, b) => {
+  if (a[key] === null || b[key] === null) {
+    return (a[key] === null) - (b[key] === null);
+  }
+  const difference = ethers.BigNumber.isBigNumber(a[key])
+    ? (a[key].lt(b[key]) ? -1 : a[key].gt(b[key]) ? 1 : 0)
+    : a[key] - b[key];
+  return descending ? -difference : difference;
+};
+
+const SORTERS = {
+  trending: null,
+  mints: compareBy('recentMints', true),
+  price: compareBy('price'),
+  remaining: compareBy('remaining'),
+  start: compareBy('startTime')
+};
+
+const parseFilterNumber = (flag, value) => {
+  const num = Number(value);
+  if (!Number.isFinite(num) || num < 0) {
+    throw new Error(`Invalid value for --${flag}: expected a number >= 0`);
+  }
+  return num;
+};
+
+const parseMaxPrice = (value) => {
+  let price;
+  try {
+    price = ethers.utils.parseEther(value);
+  } catch (error) {}
+  if (!price || price.isNegative()) {
+    throw new Error('Invalid value for --max-price: expected an amount such as 0.5');
+  }
+  return price;
+};
+
+// Filters from the command flags; unset flags filter nothing
+const getFilters = (flags) => ({
+  free: Boolean(flags.free),
+  maxPrice: flags['max-price'] !== undefined ? parseMaxPrice(flags['max-price']) : null,
+  minRemaining: flags['min-remaining'] !== undefined ? parseFilterNumber('min-remaining', flags['min-remaining']) : null,
+  startsWithin: flags['starts-within'] !== undefined ? parseFilterNumber('starts-within', flags['starts-within']) * 60 : null
+});
+
+// Ended mints are always left out; live ones pass the start time window
+const matchesFilters = (mint, filters, now) => {
+  if (mint.endTime && mint.endTime < now) {
+    return false;
+  }
+  if (filters.free && !mint.free) {
+    return false;
+  }
+  if (filters.maxPrice && (mint.price === null || mint.price.gt(filters.maxPrice))) {
+    return false;
+  }
+  if (filters.minRemaining !== null && mint.remaining !== null && mint.remaining < filters.minRemaining) {
+    return false;
+  }
+  if (filters.startsWithin !== null && mint.startTime && mint.startTime - now > filters.startsWithin) {
+    return false;
+  }
+  return true;
+};
+
+const describeStart = (mint, now) => {
+  if (!mint.startTime || mint.startTime <= now) {
+    return 'live';
+  }
+  const { days, hours, minutes } = getTimeRemaining(mint.startTime);
+  return `in ${days > 0 ? `${days}d ` : ''}${hours}h ${minutes}m`;
+};
+
+const describeMint = (mint, now) => {
+  const price = mint.free ? 'free' : mint.price ? formatNativeAmount(mint.price) : '?';
+  const supply = mint.maxSupply ? `${mint.minted ?? '?'}/${mint.maxSupply}` : `${mint.minted ?? '?'}/open`;
+  return [
+    mint.name.slice(0, 24).padEnd(24),
+    price.padEnd(14),
+    supply.padEnd(13),
+    describeStart(mint, now).padEnd(12),
+    mint.address
+  ].join(' ');
+};
+
+// Numbers shown in the list, e.g. "1,3" or "2-4"
+const parsePicks = (input, count) => {
+  const picks = new Set();
+  for (const part of String(input).split(',').map((value) => value.trim()).filter(Boolean)) {
+    const [from, to = from] = part.split('-').map(Number);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to > count || from > to) {
+      throw new Error(`Invalid pick "${part}": expected numbers from 1 to ${count}`);
+    }
+    for (let i = from; i <= to; i++) {
+      picks.add(i - 1);
+    }
+  }
+  return [...picks];
+};
+
+/**
+ * List the mints trending on Magic Eden for the current network, filtered and
+ * sorted by the command flags, and return the contract addresses picked from
+ * the list (prompted, or `--pick` without prompts).
+ */
+export const runBrowseCommand = async (cliOptions) => {
+  const { flags } = cliOptions;
+  const period = flags.period || '1h';
+  const sort = flags.sort || 'trending';
+  if (!SORT_KEYS[sort]) {
+    throw new Error(`Unknown sort: ${sort} (expected ${Object.keys(SORT_KEYS).join(', ')})`);
+  }
+  const limit = flags.limit !== undefined ? parseFilterNumber('limit', flags.limit) : 20;
+  const filters = getFilters(flags);
+
+  log.info(`Fetching trending mints on ${getMagicEdenChain()} over the last ${period}...`);
+  const now = Math.floor(Date.now() / 1000);
+  const mints = (await getTrendingMints({ period }))
+    .filter((mint) => matchesFilters(mint, filters, now));
+  if (SORTERS[sort]) {
+    mints.sort(SORTERS[sort]);
+  }
+  const shown = mints.slice(0, limit);
+  if (shown.length === 0) {
+    log.warning('No mint matches the filters');
+    return [];
+  }
+
+  log.info(`${shown.length} of ${mints.length} matching mint(s), ${SORT_KEYS[sort].toLowerCase()}:`);
+  log.normal(`${'#'.padEnd(4)}${'Name'.padEnd(25)}${'Price'.padEnd(15)}${'Minted'.padEnd(14)}${'Start'.padEnd(13)}Contract`);
+  shown.forEach((mint, index) => log.normal(`${String(index + 1).padEnd(4)}${describeMint(mint, now)}`));
+
+  let picked;
+  if (flags.pick !== undefined) {
+    picked = parsePicks(flags.pick, shown.length).map((index) => shown[index]);
+  } else if (!cliOptions.interactive) {
+    throw new Error('Pass --pick with the numbers to mint when running without prompts');
+  } else {
+    ({ picked } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'picked',
+        message: 'Collections to mint (space to select, enter to confirm):',
+        choices: shown.map((mint) => ({ name: `${mint.name} (${mint.address})`, value: mint })),
+        pageSize: 15
+      }
+    ]));
+  }
+
+  if (picked.length > 0) {
+    log.success(`Picked ${picked.map((mint) => mint.name).join(', ')}`);
+  }
+  return picked.map((mint) => mint.address);
+};
+
+export default {
+  SORT_KEYS,
+  runBrowseCommand
+};
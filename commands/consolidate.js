@@ -0,0 +1,162 @@
+import inquirer from 'inquirer';
+import { ethers } from 'ethers';
+import { createProvider, createWallet, getTransactionExplorerUrl } from '../api/core/blockchain.js';
+import { getPresetFees } from '../api/core/fees.js';
+import { runConcurrently } from '../api/core/executor.js';
+import { getJournaledTokens, scanReceivedTokens, getHeldTokens, transferTokens } from '../api/services/consolidation.js';
+import { openJournal } from '../api/services/journal.js';
+import { resolveCollectionSlug } from '../api/services/magiceden.js';
+import { detectTokenProtocol } from '../api/services/nft.js';
+import { hasVault } from '../api/services/vault.js';
+import { resolveSettings } from '../api/utils/cli.js';
+import { log } from '../api/utils/helpers.js';
+import { parseCollectionInput, checkLinkChain } from '../api/utils/links.js';
+import { getNetwork } from '../config/chain.js';
+import { loadWallets, mergeWallets, selectWallets, ENV } from '../config/env.chain.js';
+import { unlockVaultWallets } from './vault.js';
+
+const describeTokens = (protocol, tokens) =>
+  [...tokens.entries()]
+    .map(([tokenId, amount]) => (protocol === 'ERC1155' ? `${tokenId} x${amount}` : `#${tokenId}`))
+    .join(', ');
+
+const getDestination = (flags) => {
+  const destination = flags.to ?? ENV.NFT_VAULT_ADDRESS;
+  if (!destination) {
+    throw new Error('Give the address receiving the NFTs with --to (or NFT_VAULT_ADDRESS in .env)');
+  }
+  if (!ethers.utils.isAddress(destination)) {
+    throw new Error(`Invalid value for --to: ${destination} is not an address`);
+  }
+  return ethers.utils.getAddress(destination);
+};
+
+// Tokens the journaled job minted, per receiving wallet with a configured key
+const findJournaledTokens = async (provider, wallets, jobId) => {
+  const journal = openJournal(jobId);
+  log.info(`Reading the mints of job ${journal.id}...`);
+  const { protocol, wallets: minted, recipients } = await getJournaledTokens(provider, journal);
+  const sources = [];
+  for (const [address, tokens] of minted) {
+    const walletEntry = wallets.find((wallet) => wallet.address.toLowerCase() === address);
+    if (!walletEntry) {
+      log.warning(recipients.has(address)
+        ? `Recipient ${address} received mints in this job but its key is not loaded, skipping it`
+        : `Wallet ${address} minted in this job but is not configured, skipping it`);
+      continue;
+    }
+    sources.push({ walletEntry, tokens });
+  }
+  return { contractAddress: journal.job.contractAddress, protocol, sources };
+};
+
+// Tokens of --contract received by each selected wallet
+const scanWalletTokens = async (provider, wallets, cliOptions) => {
+  const { address, slug, chain } = parseCollectionInput(cliOptions.answers.contractAddress);
+  checkLinkChain(chain, getNetwork());
+  const contractAddress = address || await resolveCollectionSlug(slug);
+  const protocol = await detectTokenProtocol(contractAddress, provider);
+  const fromBlock = cliOptions.flags['from-block'] !== undefined ? Number(cliOptions.flags['from-block']) : null;
+  if (fromBlock !== null && (!Number.isInteger(fromBlock) || fromBlock < 0)) {
+    throw new Error('Invalid value for --from-block: expected a block number');
+  }
+
+  const selected = selectWallets(wallets, cliOptions.wallets ?? ENV.WALLETS);
+  log.info(`Scanning the ${protocol} holdings of ${selected.length} wallet(s) in ${contractAddress}...`);
+  const sources = [];
+  for (const walletEntry of selected) {
+    const tokens = await scanReceivedTokens(provider, contractAddress, walletEntry.address, { protocol, fromBlock });
+    sources.push({ walletEntry, tokens });
+  }
+  return { contractAddress, protocol, sources };
+};
+
+/**
+ * Move the NFTs of a collection from the minting wallets to one address:
+ * the tokens minted by a journaled job (`--job`, read from the mint receipts)
+ * or those the selected wallets received from `--contract`. Only tokens still
+ * held are sent, with `safeTransferFrom` (ERC721) or one
+ * `safeBatchTransferFrom` per wallet (ERC1155).
+ */
+export const runConsolidateCommand = async (cliOptions) => {
+  const { flags } = cliOptions;
+  if (!flags.job && !cliOptions.answers.contractAddress) {
+    throw new Error('Pass --job with a journaled mint job, or --contract to scan the wallets');
+  }
+  const destination = getDestination(flags);
+  const settings = resolveSettings(cliOptions.settings);
+
+  const provider = createProvider();
+  if (provider.checkHealth) {
+    await provider.checkHealth();
+  }
+  const vaultWallets = hasVault() ? await unlockVaultWallets(cliOptions) : [];
+  const wallets = mergeWallets(loadWallets(), vaultWallets);
+
+  const { contractAddress, protocol, sources } = flags.job
+    ? await findJournaledTokens(provider, wallets, flags.job)
+    : await scanWalletTokens(provider, wallets, cliOptions);
+
+  const moves = [];
+  for (const { walletEntry, tokens } of sources) {
+    if (walletEntry.address === destination) {
+      continue;
+    }
+    const held = await getHeldTokens(provider, contractAddress, walletEntry.address, protocol, tokens);
+    // A scan also finds tokens that were received and passed on since
+    if (flags.job && held.size < tokens.size) {
+      log.warning(`Wallet ${walletEntry.id} no longer holds ${tokens.size - held.size} of its token(s)`);
+    }
+    if (held.size > 0) {
+      log.normal(`Wallet ${walletEntry.id} (${walletEntry.address}): ${describeTokens(protocol, held)}`);
+      moves.push({ walletEntry, tokens: held });
+    }
+  }
+  if (moves.length === 0) {
+    log.success('No NFT to move');
+    return;
+  }
+
+  const count = moves.reduce((total, { tokens }) => total + tokens.size, 0);
+  log.info(`${count} ${protocol} token(s) of ${contractAddress} in ${moves.length} wallet(s) go to ${destination}`);
+  if (flags['dry-run']) {
+    return;
+  }
+  if (cliOptions.interactive) {
+    const { confirmed } = await inquirer.prompt([
+      { type: 'confirm', name: 'confirmed', message: `Transfer them to ${destination}?`, default: false }
+    ]);
+    if (!confirmed) {
+      return;
+    }
+  }
+
+  const fees = await getPresetFees(provider);
+  const results = await runConcurrently(
+    moves,
+    ({ walletEntry, tokens }) =>
+      transferTokens(createWallet(walletEntry, provider), contractAddress, { protocol, to: destination, tokens, fees }),
+    { concurrency: settings.concurrency }
+  );
+
+  let moved = 0;
+  for (const { item, value, error } of results) {
+    const transfers = value || [{ tokenIds: [...item.tokens.keys()], hash: null, error }];
+    for (const transfer of transfers) {
+      const tokens = describeTokens(protocol, new Map(transfer.tokenIds.map((tokenId) => [tokenId, item.tokens.get(tokenId)])));
+      if (transfer.error) {
+        log.error(`Wallet ${item.walletEntry.id}: ${tokens} failed - ${transfer.error.reason || transfer.error.message}`);
+        process.exitCode = 1;
+      } else {
+        moved += transfer.tokenIds.length;
+        log.success(`Wallet ${item.walletEntry.id}: ${tokens}`);
+        log.dim(getTransactionExplorerUrl(transfer.hash));
+      }
+    }
+  }
+  log.info(`Moved ${moved}/${count} token(s) to ${destination}`);
+};
+
+export default {
+  runConsolidateCommand
+};
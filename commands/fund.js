@@ -0,0 +1,227 @@
+import inquirer from 'inquirer';
+import { ethers } from 'ethers';
+import { createProvider, createWallet, formatNativeAmount, getTransactionExplorerUrl } from '../api/core/blockchain.js';
+import { getFeePresets, getSuggestedMaxFee, getPresetFees } from '../api/core/fees.js';
+import { runConcurrently } from '../api/core/executor.js';
+import { detectMintAdapter } from '../api/services/adapters.js';
+import { getMintRequirement, planFunding, planSweep, sendTransfers, TRANSFER_GAS } from '../api/services/funding.js';
+import { resolveCollectionSlug } from '../api/services/magiceden.js';
+import { hasVault } from '../api/services/vault.js';
+import { resolveSettings } from '../api/utils/cli.js';
+import { log } from '../api/utils/helpers.js';
+import { parseCollectionInput, checkLinkChain } from '../api/utils/links.js';
+import { validateMintAmount, validateGasLimit, validatePrice, createMaxGasPriceValidator } from '../api/utils/validators.js';
+import { ABI } from '../config/ABI.js';
+import { getNetwork } from '../config/chain.js';
+import { loadWallets, mergeWallets, selectWallets, ENV } from '../config/env.chain.js';
+import { unlockVaultWallets } from './vault.js';
+
+const formatGwei = (value) => `${ethers.utils.formatUnits(value, 'gwei')} gwei`;
+
+const checkFlag = (flag, validator, value) => {
+  const result = validator(value);
+  if (result !== true) {
+    throw new Error(`Invalid value for --${flag}: ${result}`);
+  }
+  return value;
+};
+
+const parseAmountFlag = (flag, value) => {
+  let amount;
+  try {
+    amount = ethers.utils.parseEther(value);
+  } catch (error) {}
+  if (!amount || amount.isNegative()) {
+    throw new Error(`Invalid value for --${flag}: expected an amount such as 0.5`);
+  }
+  return amount;
+};
+
+// The funder (--funder or FUNDER_WALLET, exactly one wallet) and the selected
+// wallets it funds or collects from, itself excluded
+const loadFundingWallets = async (provider, cliOptions) => {
+  const vaultWallets = hasVault() ? await unlockVaultWallets(cliOptions) : [];
+  const wallets = mergeWallets(loadWallets(), vaultWallets);
+
+  const funderSelector = cliOptions.flags.funder ?? ENV.FUNDER_WALLET;
+  if (!funderSelector) {
+    throw new Error('Name the funder wallet with --funder (or FUNDER_WALLET in .env)');
+  }
+  const funders = selectWallets(wallets, funderSelector);
+  if (funders.length !== 1) {
+    throw new Error(`--funder must select exactly one wallet, ${funderSelector} selects ${funders.length}`);
+  }
+  const [funderEntry] = funders;
+  const targets = selectWallets(wallets, cliOptions.wallets ?? ENV.WALLETS)
+    .filter((wallet) => wallet.address !== funderEntry.address);
+  if (targets.length === 0) {
+    throw new Error('No wallet selected besides the funder');
+  }
+
+  log.info(`Funder: wallet ${funderEntry.id} (${funderEntry.address})`);
+  return { funder: createWallet(funderEntry, provider), targets };
+};
+
+// Mint price of every job of the run: one per ERC1155 token (--token-id),
+// otherwise one. Read from the public stage of --contract unless --price is given.
+const getJobPrices = async (provider, answers) => {
+  const tokenIds = answers.tokenIds
+    ? String(answers.tokenIds).split(',').map((id) => id.trim()).filter(Boolean)
+    : null;
+  if (answers.price !== undefined) {
+    checkFlag('price', validatePrice, answers.price);
+    return (tokenIds || [null]).map(() => ethers.utils.parseEther(answers.price));
+  }
+  if (!answers.contractAddress) {
+    throw new Error('Pass --contract to read the mint price, or give it with --price');
+  }
+
+  const { address, slug, chain, tokenId } = parseCollectionInput(answers.contractAddress);
+  checkLinkChain(chain, getNetwork());
+  const contractAddress = address || await resolveCollectionSlug(slug);
+  const { adapter } = await detectMintAdapter(contractAddress, provider);
+  const contract = new ethers.Contract(contractAddress, ABI, provider);
+  const prices = [];
+  for (const id of tokenIds || [tokenId]) {
+    const { config } = await adapter.getConfig(contract, id);
+    if (!config.publicStage.price) {
+      throw new Error('The contract has no readable price, give it with --price');
+    }
+    log.info(`Mint price${id !== null ? ` of token ${id}` : ''}: ${formatNativeAmount(config.publicStage.price)}`);
+    prices.push(config.publicStage.price);
+  }
+  return prices;
+};
+
+const confirmTransfers = async (cliOptions, message) => {
+  if (!cliOptions.interactive) {
+    return true;
+  }
+  const { confirmed } = await inquirer.prompt([{ type: 'confirm', name: 'confirmed', message, default: false }]);
+  return confirmed;
+};
+
+const reportTransfers = (results, describe) => {
+  for (const { transfer, hash, error } of results) {
+    if (error) {
+      log.error(`${describe(transfer)}: failed - ${error.reason || error.message}`);
+      process.exitCode = 1;
+    } else {
+      log.success(`${describe(transfer)}: ${formatNativeAmount(transfer.amount)}`);
+      log.dim(getTransactionExplorerUrl(hash));
+    }
+  }
+};
+
+const createFundingProvider = async () => {
+  const provider = createProvider();
+  if (provider.checkHealth) {
+    await provider.checkHealth();
+  }
+  return provider;
+};
+
+/**
+ * Top up the selected wallets from the funder so each holds what the mint run
+ * checks for: price x quantity plus gas limit x max fee cap (per ERC1155 token).
+ * Only the missing amount is sent; `--batch` transfers go out at a time.
+ */
+export const runFundCommand = async (cliOptions) => {
+  const { answers, flags } = cliOptions;
+  const batchSize = flags.batch !== undefined ? Number(flags.batch) : 1;
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error('Invalid value for --batch: expected an integer >= 1');
+  }
+
+  const provider = await createFundingProvider();
+  const { funder, targets } = await loadFundingWallets(provider, cliOptions);
+
+  const quantity = parseInt(checkFlag('amount', validateMintAmount, answers.mintAmount ?? '1'));
+  const gasLimit = parseInt(checkFlag('gas-limit', validateGasLimit, answers.gasLimit ?? '110000'));
+  const { baseFee, presets } = await getFeePresets(provider);
+  const maxFeePerGas = answers.maxGasPrice !== undefined
+    ? ethers.utils.parseUnits(checkFlag('max-gas-price', createMaxGasPriceValidator(baseFee), answers.maxGasPrice), 'gwei')
+    : getSuggestedMaxFee(baseFee, presets);
+  const required = (await getJobPrices(provider, answers))
+    .map((mintPrice) => getMintRequirement({ mintPrice, quantity, maxFeePerGas, gasLimit }))
+    .reduce((total, amount) => total.add(amount), ethers.constants.Zero);
+  log.info(`Each wallet needs ${formatNativeAmount(required)} (${quantity} mint(s), gas limit ${gasLimit}, max fee ${formatGwei(maxFeePerGas)})`);
+
+  const plan = await planFunding(provider, targets, required);
+  plan.forEach(({ walletEntry, balance, amount }) => {
+    log.normal(`Wallet ${walletEntry.id} (${walletEntry.address}): ${formatNativeAmount(balance)}${amount.isZero() ? ', funded' : `, missing ${formatNativeAmount(amount)}`}`);
+  });
+  const transfers = plan
+    .filter(({ amount }) => !amount.isZero())
+    .map(({ walletEntry, amount }) => ({ to: walletEntry.address, amount, walletEntry }));
+  if (transfers.length === 0) {
+    log.success('Every wallet already holds enough');
+    return;
+  }
+
+  const fees = await getPresetFees(provider);
+  const total = transfers.reduce((sum, { amount }) => sum.add(amount), ethers.constants.Zero);
+  const totalCost = total.add(fees.maxFeePerGas.mul(TRANSFER_GAS * transfers.length));
+  const funderBalance = await funder.getBalance();
+  log.info(`Sending ${formatNativeAmount(total)} to ${transfers.length} wallet(s), funder balance ${formatNativeAmount(funderBalance)}`);
+  if (funderBalance.lt(totalCost)) {
+    throw new Error(`The funder needs ${formatNativeAmount(totalCost)} including gas`);
+  }
+  if (flags['dry-run'] || !(await confirmTransfers(cliOptions, `Send ${formatNativeAmount(total)} from ${funder.address}?`))) {
+    return;
+  }
+
+  const results = await sendTransfers(funder, transfers, { batchSize, fees });
+  reportTransfers(results, ({ walletEntry }) => `Wallet ${walletEntry.id} (${walletEntry.address})`);
+};
+
+/**
+ * Return what is left in the selected wallets to the funder, keeping the gas
+ * of the transfer and `--keep` in each wallet.
+ */
+export const runSweepCommand = async (cliOptions) => {
+  const { flags } = cliOptions;
+  const keep = flags.keep !== undefined ? parseAmountFlag('keep', flags.keep) : ethers.constants.Zero;
+  const settings = resolveSettings(cliOptions.settings);
+
+  const provider = await createFundingProvider();
+  const { funder, targets } = await loadFundingWallets(provider, cliOptions);
+  const fees = await getPresetFees(provider);
+
+  const plan = await planSweep(provider, targets, { maxFeePerGas: fees.maxFeePerGas, keep });
+  plan.forEach(({ walletEntry, balance, amount }) => {
+    log.normal(`Wallet ${walletEntry.id} (${walletEntry.address}): ${formatNativeAmount(balance)}${amount.isZero() ? ', nothing to sweep' : `, sweeping ${formatNativeAmount(amount)}`}`);
+  });
+  const sweeps = plan.filter(({ amount }) => !amount.isZero());
+  if (sweeps.length === 0) {
+    log.success('Nothing to sweep');
+    return;
+  }
+
+  const total = sweeps.reduce((sum, { amount }) => sum.add(amount), ethers.constants.Zero);
+  if (flags['dry-run'] || !(await confirmTransfers(cliOptions, `Sweep ${formatNativeAmount(total)} to ${funder.address}?`))) {
+    return;
+  }
+
+  const results = await runConcurrently(
+    sweeps,
+    async ({ walletEntry, amount }) => {
+      const [result] = await sendTransfers(
+        createWallet(walletEntry, provider),
+        [{ to: funder.address, amount, walletEntry }],
+        { fees }
+      );
+      return result;
+    },
+    { concurrency: settings.concurrency }
+  );
+  reportTransfers(
+    results.map(({ item, value, error }) => value || { transfer: { ...item, to: funder.address }, hash: null, error }),
+    ({ walletEntry }) => `Wallet ${walletEntry.id} (${walletEntry.address})`
+  );
+};
+
+export default {
+  runFundCommand,
+  runSweepCommand
+};
@@ -0,0 +1,120 @@
+import { ethers } from 'ethers';
+import { createProvider, createWallet, getTransactionExplorerUrl } from '../api/core/blockchain.js';
+import { getFeePresets } from '../api/core/fees.js';
+import { bumpFees, speedUpTransaction, cancelTransaction, isUnderpricedError } from '../api/core/replacement.js';
+import { hasVault } from '../api/services/vault.js';
+import { resolveSettings } from '../api/utils/cli.js';
+import { log } from '../api/utils/helpers.js';
+import { loadWallets, mergeWallets, selectWallets } from '../config/env.chain.js';
+import { unlockVaultWallets } from './vault.js';
+
+const formatGwei = (value) => `${ethers.utils.formatUnits(value, 'gwei')} gwei`;
+
+// The pending transaction named by a hash, or only a nonce of the one selected wallet
+const findPending = async (provider, wallets, target, cliOptions) => {
+  if (ethers.utils.isHexString(target, 32)) {
+    const tx = await provider.getTransaction(target);
+    if (!tx) {
+      throw new Error(`Transaction ${target} not found`);
+    }
+    if (tx.blockNumber) {
+      throw new Error(`Transaction ${target} was already mined in block ${tx.blockNumber}`);
+    }
+    const walletEntry = wallets.find((wallet) => wallet.address.toLowerCase() === tx.from.toLowerCase());
+    if (!walletEntry) {
+      throw new Error(`Transaction ${target} was sent by ${tx.from}, which is not a configured wallet`);
+    }
+    return { walletEntry, tx, nonce: tx.nonce };
+  }
+
+  if (/^\d+$/.test(target)) {
+    const selected = selectWallets(wallets, cliOptions.wallets);
+    if (selected.length !== 1) {
+      throw new Error('A nonce needs --wallets selecting exactly one wallet');
+    }
+    return { walletEntry: selected[0], tx: null, nonce: Number(target) };
+  }
+
+  throw new Error(`Expected a transaction hash or a nonce, got ${target}`);
+};
+
+// Without the pending transaction, outbid the Fastest preset of recent blocks
+const getCurrentFees = async (provider) => {
+  const { baseFee, presets } = await getFeePresets(provider);
+  return {
+    maxFeePerGas: baseFee.mul(2).add(presets.fastest),
+    maxPriorityFeePerGas: presets.fastest
+  };
+};
+
+// Fees the replacement has to outbid. A legacy (type 0) transaction only has a
+// gas price, which counts as both its max fee and its priority fee.
+const getPendingFees = (tx) =>
+  tx.maxFeePerGas && tx.maxPriorityFeePerGas
+    ? { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }
+    : { maxFeePerGas: tx.gasPrice, maxPriorityFeePerGas: tx.gasPrice };
+
+export const runTxCommand = async (cliOptions) => {
+  const [action, target] = cliOptions.commandArgs;
+  if (!['speedup', 'cancel'].includes(action) || !target) {
+    throw new Error('Usage: me-mint tx <speedup|cancel> <hash|nonce>');
+  }
+  if (action === 'speedup' && !ethers.utils.isHexString(target, 32)) {
+    throw new Error('Speeding up needs the transaction hash');
+  }
+  const settings = resolveSettings(cliOptions.settings);
+
+  const provider = createProvider();
+  if (provider.checkHealth) {
+    await provider.checkHealth();
+  }
+  const vaultWallets = hasVault() ? await unlockVaultWallets(cliOptions) : [];
+  const wallets = mergeWallets(loadWallets(), vaultWallets);
+
+  const { walletEntry, tx, nonce } = await findPending(provider, wallets, target, cliOptions);
+  const wallet = createWallet(walletEntry, provider);
+  if (nonce < (await wallet.getTransactionCount('latest'))) {
+    throw new Error(`Nonce ${nonce} of ${wallet.address} is already used by a mined transaction`);
+  }
+
+  const { baseFeePerGas } = await provider.getBlock('latest');
+  const fees = bumpFees(tx ? getPendingFees(tx) : await getCurrentFees(provider), {
+    bumpPercent: settings.feeBumpPercent,
+    ceiling: settings.feeCeiling > 0 ? ethers.utils.parseUnits(String(settings.feeCeiling), 'gwei') : null,
+    baseFee: baseFeePerGas
+  });
+  if (!fees) {
+    throw new Error(`Outbidding the pending transaction would exceed the fee ceiling of ${settings.feeCeiling} gwei`);
+  }
+
+  let replacement;
+  try {
+    replacement = action === 'cancel'
+      ? await cancelTransaction(wallet, nonce, fees)
+      : await speedUpTransaction(wallet, tx, fees);
+  } catch (error) {
+    if (isUnderpricedError(error)) {
+      throw new Error('The node rejected the replacement as underpriced, retry with a higher --fee-bump');
+    }
+    throw error;
+  }
+  log.success(
+    `${action === 'cancel' ? 'Cancellation' : 'Replacement'} of nonce ${nonce} sent with max fee ${formatGwei(fees.maxFeePerGas)}, priority fee ${formatGwei(fees.maxPriorityFeePerGas)}`
+  );
+  log.dim(getTransactionExplorerUrl(replacement.hash));
+
+  // Either the replacement or the original transaction ends up mined
+  log.info('Waiting for confirmation...');
+  const receipt = await Promise.race(
+    [replacement.hash, tx?.hash].filter(Boolean).map((hash) => provider.waitForTransaction(hash))
+  );
+  if (receipt.transactionHash === replacement.hash) {
+    log.success(`Nonce ${nonce} confirmed in block [${receipt.blockNumber}] with the ${action === 'cancel' ? 'cancellation' : 'replacement'}`);
+  } else {
+    log.warning(`The original transaction was mined first, in block [${receipt.blockNumber}]`);
+  }
+};
+
+export default {
+  runTxCommand
+};
@@ -0,0 +1,153 @@
+import inquirer from 'inquirer';
+import { loadWallets, ENV } from '../config/env.chain.js';
+import { listVault, importKey, exportKey, removeKey, unlockVault } from '../api/services/vault.js';
+import { log } from '../api/utils/helpers.js';
+
+// Passphrase from VAULT_PASSPHRASE, otherwise prompted (twice when creating the vault)
+export const getVaultPassphrase = async ({ interactive = true, confirm = false } = {}) => {
+  if (ENV.VAULT_PASSPHRASE) {
+    return ENV.VAULT_PASSPHRASE;
+  }
+  if (!interactive) {
+    throw new Error('The vault is locked: set VAULT_PASSPHRASE to unlock it non-interactively');
+  }
+
+  const { passphrase } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      mask: '*',
+      message: 'Vault passphrase:',
+      validate: (input) => (input.length >= 8 ? true : 'The passphrase must be at least 8 characters')
+    }
+  ]);
+
+  if (confirm) {
+    const { repeated } = await inquirer.prompt([
+      { type: 'password', name: 'repeated', mask: '*', message: 'Repeat passphrase:' }
+    ]);
+    if (repeated !== passphrase) {
+      throw new Error('Passphrases do not match');
+    }
+  }
+
+  return passphrase;
+};
+
+export const unlockVaultWallets = async ({ interactive }) => {
+  const passphrase = await getVaultPassphrase({ interactive });
+  log.info('Unlocking vault...');
+  const wallets = await unlockVault(passphrase);
+  log.success(`Unlocked ${wallets.length} vault wallet(s)`);
+  return wallets;
+};
+
+const importCommand = async (cliOptions) => {
+  const passphrase = await getVaultPassphrase({
+    interactive: cliOptions.interactive,
+    confirm: listVault().length === 0
+  });
+
+  if (cliOptions.flags['from-env']) {
+    const wallets = loadWallets().filter((wallet) => wallet.privateKey);
+    for (const wallet of wallets) {
+      try {
+        const entry = await importKey(wallet.privateKey, passphrase, wallet.label);
+        log.success(`Imported ${entry.address} (${wallet.label})`);
+      } catch (error) {
+        log.warning(`Skipped ${wallet.address}: ${error.message}`);
+      }
+    }
+    log.info('Remove the imported PRIVATEKEY*/MNEMONIC entries from .env once the vault works for you');
+    return;
+  }
+
+  if (!cliOptions.interactive) {
+    throw new Error('Use --from-env to import keys non-interactively');
+  }
+  const { privateKey } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'privateKey',
+      mask: '*',
+      message: 'Private key to import:',
+      validate: (input) => (/^(0x)?[0-9a-fA-F]{64}$/.test(input.trim()) ? true : 'Please enter a 32-byte hex private key')
+    }
+  ]);
+  const entry = await importKey(privateKey, passphrase, cliOptions.flags.label);
+  log.success(`Imported ${entry.address}${entry.label ? ` (${entry.label})` : ''}`);
+};
+
+const listCommand = () => {
+  const entries = listVault();
+  if (entries.length === 0) {
+    log.info(`The vault in ${ENV.VAULT_DIR} is empty`);
+    return;
+  }
+  entries.forEach((entry, index) => {
+    log.normal(`${index + 1}. ${entry.address}${entry.label ? `  ${entry.label}` : ''}`);
+  });
+};
+
+const exportCommand = async (cliOptions, target) => {
+  if (cliOptions.interactive) {
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Print the private key of ${target} in plaintext?`,
+        default: false
+      }
+    ]);
+    if (!confirmed) {
+      return;
+    }
+  }
+  const passphrase = await getVaultPassphrase({ interactive: cliOptions.interactive });
+  const { address, privateKey } = await exportKey(target, passphrase);
+  log.info(`Address: ${address}`);
+  log.normal(privateKey);
+};
+
+const removeCommand = async (cliOptions, target) => {
+  if (cliOptions.interactive) {
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Permanently delete the keystore of ${target}?`,
+        default: false
+      }
+    ]);
+    if (!confirmed) {
+      return;
+    }
+  }
+  const { address } = removeKey(target);
+  log.success(`Removed ${address} from the vault`);
+};
+
+export const runVaultCommand = async (cliOptions) => {
+  const [action, target] = cliOptions.commandArgs;
+
+  switch (action) {
+    case 'import':
+      return importCommand(cliOptions);
+    case 'list':
+      return listCommand();
+    case 'export':
+    case 'remove':
+      if (!target) {
+        throw new Error(`Usage: me-mint vault ${action} <address|label>`);
+      }
+      return action === 'export' ? exportCommand(cliOptions, target) : removeCommand(cliOptions, target);
+    default:
+      throw new Error('Usage: me-mint vault <import|list|export|remove> [address|label]');
+  }
+};
+
+export default {
+  getVaultPassphrase,
+  unlockVaultWallets,
+  runVaultCommand
+};
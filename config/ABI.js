@@ -70,6 +70,34 @@ export const ABI = [
     outputs: [],
     stateMutability: "payable",
   },
+  {
+    type: "function",
+    name: "mintAllowlist",
+    inputs: [
+      {
+        internalType: "address",
+        name: "to",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "tokenId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "qty",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes32[]",
+        name: "proof",
+        type: "bytes32[]",
+      },
+    ],
+    outputs: [],
+    stateMutability: "payable",
+  },
   {
     type: "function",
     name: "getConfig",
@@ -1,3 +1,12 @@
+import fs from "fs";
+import { ENV } from "./env.chain.js";
+
+// RPC_URLS (optional) lists extra endpoints of the same chain, used together
+// with RPC_URL for failover; WS_URL is used to subscribe to new blocks. Explorer entries are either a URL prefix the
+// hash/address is appended to, or a template containing `{hash}` /
+// `{address}`. MAGIC_EDEN_CHAIN is the chain slug used by the Magic Eden API,
+// null where Magic Eden has no market.
+
 export const MONAD_TESTNET = {
   RPC_URL: "https://testnet-rpc.monad.xyz",
   CHAIN_ID: 10143,
@@ -5,6 +14,140 @@ export const MONAD_TESTNET = {
   TX_EXPLORER: "https://testnet.monadexplorer.com/tx/",
   ADDRESS_EXPLORER: "https://testnet.monadexplorer.com/address/",
   WMON_ADDRESS: "0x760AfE86e5de5fa0Ee542fc7B7B713e1c5425701",
+  MAGIC_EDEN_CHAIN: "monad-testnet",
+};
+
+export const MONAD_MAINNET = {
+  RPC_URL: "https://rpc.monad.xyz",
+  CHAIN_ID: 143,
+  SYMBOL: "MON",
+  TX_EXPLORER: "https://monadscan.com/tx/",
+  ADDRESS_EXPLORER: "https://monadscan.com/address/",
+  MAGIC_EDEN_CHAIN: "monad",
+};
+
+// Local nodes: a null CHAIN_ID lets the provider ask the node, so forks that
+// keep the forked chain's ID work as well as a fresh 31337 devnet
+export const LOCALHOST = {
+  RPC_URL: "http://127.0.0.1:8545",
+  WS_URL: "ws://127.0.0.1:8545",
+  CHAIN_ID: null,
+  SYMBOL: "ETH",
+  TX_EXPLORER: null,
+  ADDRESS_EXPLORER: null,
+  MAGIC_EDEN_CHAIN: null,
+};
+
+export const BUILTIN_NETWORKS = {
+  "monad-testnet": MONAD_TESTNET,
+  "monad-mainnet": MONAD_MAINNET,
+  anvil: LOCALHOST,
+  hardhat: LOCALHOST,
+  localhost: LOCALHOST,
+};
+
+// Keys accepted in NETWORKS_FILE and the registry field each one sets
+const NETWORK_FILE_FIELDS = {
+  rpcUrl: "RPC_URL",
+  rpcUrls: "RPC_URLS",
+  wsUrl: "WS_URL",
+  chainId: "CHAIN_ID",
+  symbol: "SYMBOL",
+  txExplorer: "TX_EXPLORER",
+  addressExplorer: "ADDRESS_EXPLORER",
+  magicEdenChain: "MAGIC_EDEN_CHAIN",
+};
+
+const parseNetworkEntry = (name, entry, base) => {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    throw new Error(`Network "${name}" in ${ENV.NETWORKS_FILE} must be an object`);
+  }
+
+  const network = {
+    WS_URL: null,
+    SYMBOL: "ETH",
+    TX_EXPLORER: null,
+    ADDRESS_EXPLORER: null,
+    MAGIC_EDEN_CHAIN: null,
+    ...base,
+  };
+  for (const [key, value] of Object.entries(entry)) {
+    const field = NETWORK_FILE_FIELDS[key];
+    if (!field) {
+      throw new Error(
+        `Unknown key "${key}" for network "${name}" in ${ENV.NETWORKS_FILE} (expected ${Object.keys(NETWORK_FILE_FIELDS).join(", ")})`
+      );
+    }
+    network[field] = value;
+  }
+
+  if (network.RPC_URLS !== undefined && !Array.isArray(network.RPC_URLS)) {
+    throw new Error(`rpcUrls of network "${name}" in ${ENV.NETWORKS_FILE} must be an array`);
+  }
+  if (!network.RPC_URL && !network.RPC_URLS?.length) {
+    throw new Error(`Network "${name}" in ${ENV.NETWORKS_FILE} needs an rpcUrl or rpcUrls`);
+  }
+  if (network.CHAIN_ID !== null && network.CHAIN_ID !== undefined) {
+    const chainId = Number(network.CHAIN_ID);
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+      throw new Error(`Network "${name}" in ${ENV.NETWORKS_FILE} has an invalid chainId: ${network.CHAIN_ID}`);
+    }
+    network.CHAIN_ID = chainId;
+  } else {
+    network.CHAIN_ID = null;
+  }
+
+  return network;
+};
+
+let registry = null;
+
+/**
+ * Built-in networks merged with the entries of NETWORKS_FILE (if it exists).
+ * A file entry with a built-in name overrides only the keys it sets, e.g. a
+ * private RPC URL for monad-mainnet.
+ */
+export const getNetworks = () => {
+  if (registry) {
+    return registry;
+  }
+
+  registry = { ...BUILTIN_NETWORKS };
+  if (fs.existsSync(ENV.NETWORKS_FILE)) {
+    const entries = JSON.parse(fs.readFileSync(ENV.NETWORKS_FILE, "utf8"));
+    for (const [name, entry] of Object.entries(entries)) {
+      registry[name] = parseNetworkEntry(name, entry, BUILTIN_NETWORKS[name]);
+    }
+  }
+  return registry;
+};
+
+/**
+ * Registry entry of a network with its endpoints merged into RPC_URLS
+ * (RPC_URL first). RPC_URLS and WS_URL in .env replace the endpoints of the
+ * selected network.
+ */
+export const getNetwork = (name = ENV.NETWORK) => {
+  const networks = getNetworks();
+  if (!networks[name]) {
+    throw new Error(
+      `Unsupported network: ${name} (available: ${Object.keys(networks).join(", ")})`
+    );
+  }
+
+  const network = networks[name];
+  const rpcUrls =
+    name === ENV.NETWORK && ENV.RPC_URLS.length > 0
+      ? ENV.RPC_URLS
+      : [network.RPC_URL, ...(network.RPC_URLS || [])].filter(Boolean);
+  const wsUrl = (name === ENV.NETWORK && ENV.WS_URL) || network.WS_URL || null;
+  return {
+    name,
+    ...network,
+    RPC_URL: rpcUrls[0],
+    RPC_URLS: [...new Set(rpcUrls)],
+    WS_URL: wsUrl,
+  };
 };
 
 export default MONAD_TESTNET;
@@ -1,4 +1,5 @@
 import dotenv from "dotenv";
+import fs from "fs";
 import { ethers } from "ethers";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -10,62 +11,209 @@ const __dirname = path.dirname(__filename);
 
 export const ENV = {
   NETWORK: process.env.NETWORK || "monad-testnet",
+  NETWORKS_FILE: process.env.NETWORKS_FILE || "networks.json",
+  RPC_URLS: (process.env.RPC_URLS || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean),
+  WS_URL: process.env.WS_URL || "",
+  RPC_TIMEOUT_MS: parseInt(process.env.RPC_TIMEOUT_MS || "5000"),
+  RPC_MAX_BLOCK_LAG: parseInt(process.env.RPC_MAX_BLOCK_LAG || "3"),
+  RPC_HEALTH_INTERVAL_MS: parseInt(process.env.RPC_HEALTH_INTERVAL_MS || "10000"),
   MAX_CONCURRENT_MINTS: parseInt(process.env.MAX_CONCURRENT_MINTS || "10"),
+  WALLET_STAGGER_MS: parseInt(process.env.WALLET_STAGGER_MS || "0"),
+  WALLET_JITTER_MS: parseInt(process.env.WALLET_JITTER_MS || "0"),
+  MINT_DELAY_MS: parseInt(process.env.MINT_DELAY_MS || "0"),
+  MONITOR_INTERVAL: parseFloat(process.env.MONITOR_INTERVAL || "3"),
+  STUCK_ACTION: process.env.STUCK_ACTION || "speedup",
+  STUCK_TIMEOUT: parseInt(process.env.STUCK_TIMEOUT || "60"),
+  STUCK_BLOCKS: parseInt(process.env.STUCK_BLOCKS || "0"),
+  FEE_BUMP_PERCENT: parseInt(process.env.FEE_BUMP_PERCENT || "15"),
+  MAX_FEE_CEILING: parseFloat(process.env.MAX_FEE_CEILING || "0"),
   DEFAULT_GAS_LIMIT_MIN: parseInt(
     process.env.DEFAULT_GAS_LIMIT_MIN || "180000"
   ),
   DEFAULT_GAS_LIMIT_MAX: parseInt(
     process.env.DEFAULT_GAS_LIMIT_MAX || "280000"
   ),
+  PROFILE_DIR: process.env.PROFILE_DIR || "profiles",
+  JOURNAL_DIR: process.env.JOURNAL_DIR || "journal",
+  WALLETS: process.env.WALLETS || "",
+  FUNDER_WALLET: process.env.FUNDER_WALLET || "",
+  NFT_VAULT_ADDRESS: process.env.NFT_VAULT_ADDRESS || "",
+  VAULT_DIR: process.env.VAULT_DIR || "keystore",
+  VAULT_PASSPHRASE: process.env.VAULT_PASSPHRASE || "",
 };
 
-export const loadWallets = () => {
-  try {
-    const wallets = [];
-    const walletKeys = Object.keys(process.env)
-      .filter((key) => key.startsWith("PRIVATEKEY"))
-      .sort((a, b) => {
-        const numA = parseInt(a.split("_")[1]);
-        const numB = parseInt(b.split("_")[1]);
-        return numA - numB;
+const DEFAULT_HD_PATH = "m/44'/60'/0'/0";
+
+const getPrivateKeySuffix = (key) => key.slice("PRIVATEKEY".length).replace(/^_/, "");
+
+const loadPrivateKeyWallets = (errors) => {
+  const walletKeys = Object.keys(process.env)
+    .filter((key) => /^PRIVATEKEY(_\d+)?$/.test(key))
+    .sort((a, b) => {
+      // The bare PRIVATEKEY comes first, then PRIVATEKEY_1, PRIVATEKEY_2, ...
+      const numA = parseInt(getPrivateKeySuffix(a) || "0");
+      const numB = parseInt(getPrivateKeySuffix(b) || "0");
+      return numA - numB;
+    });
+
+  const wallets = [];
+  for (const key of walletKeys) {
+    const privateKey = process.env[key].trim();
+    if (!privateKey.startsWith("0x")) {
+      errors.push(`${key}: private key must start with 0x`);
+      continue;
+    }
+    try {
+      const wallet = new ethers.Wallet(privateKey);
+      const suffix = getPrivateKeySuffix(key);
+      const labelKey = suffix ? `WALLET_LABEL_${suffix}` : "WALLET_LABEL";
+      wallets.push({
+        label: process.env[labelKey] || key,
+        address: wallet.address,
+        privateKey,
       });
+    } catch (err) {
+      errors.push(`${key}: invalid private key`);
+    }
+  }
+  return wallets;
+};
 
-    if (walletKeys.length > 0) {
-      const privateKey = process.env[walletKeys[0]];
-      if (privateKey && privateKey.startsWith("0x")) {
-        try {
-          const wallet = new ethers.Wallet(privateKey);
-          wallets.push({
-            id: 1,
-            address: wallet.address,
-            privateKey: privateKey,
-          });
-        } catch (err) {
-          console.error(`私钥无效`);
-        }
-      }
+// Parse an index range such as "0-4" or "0,2,5-7" into a list of integers
+export const parseIndexRange = (range) => {
+  const indexes = [];
+  for (const part of String(range).split(",").map((item) => item.trim())) {
+    if (!part) continue;
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid index range: ${part}`);
+    }
+    const start = parseInt(match[1]);
+    const end = match[2] !== undefined ? parseInt(match[2]) : start;
+    if (end < start) {
+      throw new Error(`Invalid index range: ${part}`);
     }
+    for (let i = start; i <= end; i++) {
+      indexes.push(i);
+    }
+  }
+  return indexes;
+};
 
-    return wallets;
+const loadMnemonicWallets = (errors) => {
+  const mnemonic = process.env.MNEMONIC?.trim();
+  if (!mnemonic) {
+    return [];
+  }
+  if (!ethers.utils.isValidMnemonic(mnemonic)) {
+    errors.push("MNEMONIC: invalid BIP-39 mnemonic");
+    return [];
+  }
+
+  let indexes;
+  try {
+    indexes = parseIndexRange(process.env.MNEMONIC_INDEXES || "0");
+  } catch (err) {
+    errors.push(`MNEMONIC_INDEXES: ${err.message}`);
+    return [];
+  }
+
+  const basePath = (process.env.MNEMONIC_PATH || DEFAULT_HD_PATH).replace(/\/$/, "");
+  const root = ethers.utils.HDNode.fromMnemonic(mnemonic);
+  return indexes.map((index) => {
+    const node = root.derivePath(`${basePath}/${index}`);
+    return {
+      label: `mnemonic/${index}`,
+      address: node.address,
+      privateKey: node.privateKey,
+    };
+  });
+};
+
+/**
+ * Concatenate wallet lists, drop duplicate addresses and (re)number the
+ * result with 1-based ids.
+ */
+export const mergeWallets = (...walletLists) => {
+  const seen = new Set();
+  return walletLists
+    .flat()
+    .filter((wallet) => {
+      if (seen.has(wallet.address)) {
+        console.error(`Duplicate wallet ${wallet.address} (${wallet.label}) skipped`);
+        return false;
+      }
+      seen.add(wallet.address);
+      return true;
+    })
+    .map((wallet, index) => ({ ...wallet, id: index + 1 }));
+};
+
+/**
+ * Load every configured wallet: the numbered PRIVATEKEY_N keys (plus a bare
+ * PRIVATEKEY) followed by wallets derived from MNEMONIC. Invalid entries are
+ * reported per key and skipped. Wallets get a 1-based `id` and a `label`
+ * (WALLET_LABEL_N, or the variable name) used for selection.
+ */
+export const loadWallets = () => {
+  try {
+    const errors = [];
+    const wallets = [
+      ...loadPrivateKeyWallets(errors),
+      ...loadMnemonicWallets(errors),
+    ];
+
+    errors.forEach((error) => console.error(`Invalid wallet configuration - ${error}`));
+
+    return mergeWallets(wallets);
   } catch (error) {
-    console.error("加载钱包时出错:", error.message);
+    console.error("Error loading wallets:", error.message);
     return [];
   }
 };
 
-export const validateEnv = () => {
-  const requiredEnvVars = ['NETWORK', 'PRIVATEKEY'];
-  const missing = requiredEnvVars.filter(key => !process.env[key]);
-  
-  if (missing.length > 0) {
-    throw new Error(`缺少必需的环境变量: ${missing.join(', ')}`);
+/**
+ * Select a subset of wallets by a comma-separated list of ids, id ranges
+ * ("1-3") and labels. An empty selector selects every wallet.
+ */
+export const selectWallets = (wallets, selector) => {
+  if (!selector || !String(selector).trim()) {
+    return wallets;
   }
-  
-  // 验证私钥格式
-  if (!process.env.PRIVATEKEY?.startsWith('0x')) {
-    throw new Error('私钥必须以 0x 开头');
+
+  const selected = new Set();
+  for (const part of String(selector).split(",").map((item) => item.trim())) {
+    if (!part) continue;
+    const byLabel = wallets.filter((wallet) => wallet.label === part);
+    if (byLabel.length > 0) {
+      byLabel.forEach((wallet) => selected.add(wallet));
+      continue;
+    }
+    for (const id of parseIndexRange(part)) {
+      const wallet = wallets.find((item) => item.id === id);
+      if (!wallet) {
+        throw new Error(`No wallet with index ${id}`);
+      }
+      selected.add(wallet);
+    }
   }
+
+  return wallets.filter((wallet) => selected.has(wallet));
 };
 
-// Add validation call
-validateEnv();
+export const validateEnv = () => {
+  const hasPrivateKey = Object.keys(process.env).some((key) =>
+    /^PRIVATEKEY(_\d+)?$/.test(key)
+  );
+  const hasVault =
+    fs.existsSync(ENV.VAULT_DIR) &&
+    fs.readdirSync(ENV.VAULT_DIR).some((name) => name.endsWith(".json"));
+  if (!hasPrivateKey && !process.env.MNEMONIC && !hasVault) {
+    throw new Error(
+      "No wallets configured: set PRIVATEKEY_1, PRIVATEKEY_2, ... or MNEMONIC in .env, or import keys with `me-mint vault import`"
+    );
+  }
+};
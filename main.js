@@ -1,10 +1,56 @@
-import inquirer from 'inquirer';
 import chalk from 'chalk';
 import { ethers } from 'ethers';
-import { createProvider, createWallet, getRandomGasLimit, getTransactionExplorerUrl } from './api/core/blockchain.js';
-import { loadWallets, ENV } from './config/env.chain.js';
-import { executeMint, getCollectionInfo, getConfigWithFallback } from './api/services/nft.js';
-import { log } from './api/utils/helpers.js';
+import { createProvider, createWallet, getRandomGasLimit, formatNativeAmount } from './api/core/blockchain.js';
+import { getNetwork } from './config/chain.js';
+import { loadWallets, mergeWallets, selectWallets, validateEnv, ENV } from './config/env.chain.js';
+import {
+  sendMintBurst,
+  signMintBatch,
+  broadcastSignedMints,
+  recoverJournaledMints,
+  selectMintVariant,
+  simulateMintVariants,
+  getMintCandidates,
+  getCollectionInfo,
+  getTokenSupply,
+  getWalletMintedCount,
+  detectTokenProtocol,
+  quoteMintTransaction
+} from './api/services/nft.js';
+import { getMagicEdenChain, resolveCollectionSlug } from './api/services/magiceden.js';
+import { MINT_ADAPTERS, detectMintAdapter, getConfigWithFallback, getTokenConfigs, getMintCall } from './api/services/adapters.js';
+import { log, sleep, getTimeRemaining } from './api/utils/helpers.js';
+import { waitForBlock, measureClockDrift, BLOCK_STRATEGIES } from './api/core/blocks.js';
+import { runConcurrently, randomDelay } from './api/core/executor.js';
+import { createNonceManager } from './api/core/nonce.js';
+import { parseCliArgs, getUsage, resolveSettings, pickSettings, resolveAnswers } from './api/utils/cli.js';
+import {
+  validateMintAmount,
+  validateGasLimit,
+  createMaxGasPriceValidator,
+  validatePriorityFeePercent,
+  validateFeePercentile,
+  validatePriorityFee,
+  validatePrice,
+  validateFilePath,
+  validateMonitorInterval,
+  validateCollectionInput
+} from './api/utils/validators.js';
+import { parseCollectionInput, checkLinkChain } from './api/utils/links.js';
+import { loadProfile, saveProfile } from './api/services/profile.js';
+import { createJournal, openJournal, countJournaledMints, FINAL_MINT_STATUSES } from './api/services/journal.js';
+import { hasVault } from './api/services/vault.js';
+import { runVaultCommand, unlockVaultWallets } from './commands/vault.js';
+import { runTxCommand } from './commands/tx.js';
+import { runBrowseCommand } from './commands/browse.js';
+import { runFundCommand, runSweepCommand } from './commands/fund.js';
+import { runConsolidateCommand } from './commands/consolidate.js';
+import { STUCK_ACTIONS } from './api/core/replacement.js';
+import { FEE_STRATEGIES, getFeePresets, getSuggestedMaxFee, createFeeEstimator } from './api/core/fees.js';
+import { loadAllowlist, loadRecipients, createAllowlist } from './api/services/allowlist.js';
+import { createSupplyTracker } from './api/services/supply.js';
+import { getMintRequirement } from './api/services/funding.js';
+import { parseExportFiles, createRunSummary } from './api/services/summary.js';
 import { ABI } from './config/ABI.js';
 
 const displayBanner = () => {
@@ -16,21 +62,105 @@ const displayBanner = () => {
 `));
 };
 
-const extractContractAddress = (input) => {
-  if (input.includes('magiceden.io')) {
-    const parts = input.split('/');
-    return parts[parts.length - 1];
+// Contract address of a collection given as an address, a Magic Eden link
+// (resolving slugs through the API) or an explorer URL, with the token ID of
+// an item link: `{ address, tokenId }`
+const resolveCollection = async (input, network) => {
+  const { address, slug, chain, tokenId } = parseCollectionInput(input);
+  checkLinkChain(chain, network);
+  if (address) {
+    return { address, tokenId };
   }
-  return input;
+  log.info(`Looking up collection "${slug}" on Magic Eden...`);
+  return { address: await resolveCollectionSlug(slug, getMagicEdenChain()), tokenId };
 };
 
-const getMintPrice = async (contract) => {
+const parseTokenIdList = (value) => {
+  const ids = String(value).split(',').map((id) => id.trim()).filter(Boolean);
+  return ids.length > 0 && ids.every((id) => /^\d+$/.test(id)) ? ids.map(Number) : null;
+};
+
+const isStageEnded = (stage, now) => !stage.endTime.isZero() && stage.endTime.toNumber() < now;
+
+const describeTokenStage = (stage, now) => {
+  const startTime = stage.startTime.toNumber();
+  const endTime = stage.endTime.toNumber();
+  if (isStageEnded(stage, now)) {
+    return `ended ${formatStageTime(endTime)}`;
+  }
+  if (startTime > now) {
+    return `starts ${formatStageTime(startTime)}`;
+  }
+  return endTime > 0 ? `live until ${formatStageTime(endTime)}` : 'live';
+};
+
+// ERC1155 collections configure each token on its own: list the configured
+// tokens with their stage, price and supply and return the IDs to mint, from
+// `presets.tokenIds` ("0,2") or a prompt. Collections without tokens to
+// choose (ERC721) return [null].
+const selectTokenIds = async (contract, stageName, presets, { interactive }) => {
+  try {
+    await contract['getConfig()']();
+    return [null];
+  } catch (error) {}
+  const tokens = await getTokenConfigs(contract);
+  if (tokens.length === 0) {
+    return [null];
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  log.info(`ERC1155 collection with ${tokens.length} configured token(s):`);
+  for (const { tokenId, config } of tokens) {
+    const minted = await getTokenSupply(contract, tokenId);
+    const maxSupply = config.maxSupply.isZero() ? 'open' : config.maxSupply.toString();
+    const stage = config[stageName];
+    log.normal(`- Token ${tokenId}: ${formatNativeAmount(stage.price)}, ${minted ?? '?'}/${maxSupply} minted, ${describeTokenStage(stage, now)}`);
+  }
+
+  const configured = tokens.map((token) => token.tokenId);
+  if (tokens.length === 1 && presets.tokenIds === undefined) {
+    log.info(`Minting token ${configured[0]}`);
+    return configured;
+  }
+  const { tokenIds } = await resolveAnswers(
+    [
+      {
+        type: 'checkbox',
+        name: 'tokenIds',
+        message: 'Token(s) to mint (space to select, enter to confirm):',
+        choices: tokens.map(({ tokenId, config }) => ({
+          name: `Token ${tokenId}`,
+          value: tokenId,
+          disabled: isStageEnded(config[stageName], now) && 'ended'
+        })),
+        validate: (value) => {
+          const ids = Array.isArray(value) ? value : parseTokenIdList(value);
+          if (!ids || ids.length === 0) {
+            return 'Choose at least one token ID, e.g. 1 or 0,2';
+          }
+          const unknown = ids.find((id) => !configured.includes(id));
+          return unknown === undefined || `token ${unknown} has no mint configuration (configured: ${configured.join(', ')})`;
+        }
+      }
+    ],
+    presets,
+    { interactive }
+  );
+  return Array.isArray(tokenIds) ? tokenIds : parseTokenIdList(tokenIds);
+};
+
+const getStageName = (mintMethod) => (mintMethod === 'allowlist' ? 'allowlistStage' : 'publicStage');
+
+const getMintPrice = async (contract, stageName = 'publicStage', tokenId = null, adapter = MINT_ADAPTERS.magicEden) => {
   try {
     log.info('Fetching contract configuration...');
-    const { config } = await getConfigWithFallback(contract);
+    const { config } = await adapter.getConfig(contract, tokenId);
     log.info('Successfully fetched contract configuration');
-    const price = config.publicStage.price;
-    log.success(`Price fetched from contract - [${ethers.utils.formatEther(price)} MON]`);
+    const price = config[stageName].price;
+    if (!price) {
+      throw new Error('The contract has no readable price');
+    }
+    log.success(`Price fetched from contract - [${formatNativeAmount(price)}]`);
     return price;
   } catch (error) {
     log.warning('Unable to fetch price from contract');
@@ -39,575 +169,1358 @@ const getMintPrice = async (contract) => {
   }
 };
 
+// Build the allowlist Merkle tree and make sure it reproduces the on-chain root
+const prepareAllowlistMint = async (contract, allowlistFile, tokenId = null) => {
+  const { config } = await getConfigWithFallback(contract, tokenId);
+  const entries = loadAllowlist(allowlistFile);
+  const allowlist = createAllowlist(entries, config.allowlistStage.merkleRoot);
+  log.success(`Allowlist verified against on-chain Merkle root (${entries.length} entries)`);
+  return { allowlist };
+};
+
+// Resolve the proof and mint count for a wallet, or null if it is not allowlisted
+const getAllowlistMintForWallet = (allowlistMint, walletAddress, mintAmount) => {
+  const entry = allowlistMint.allowlist.getEntry(walletAddress);
+  if (!entry) {
+    return null;
+  }
+  const amount = entry.quantity !== null ? Math.min(mintAmount, entry.quantity) : mintAmount;
+  if (amount < mintAmount) {
+    log.warning(`Wallet ${walletAddress} is allowlisted for ${entry.quantity} mints, minting ${amount}`);
+  }
+  return { proof: allowlistMint.allowlist.getProof(walletAddress), amount };
+};
+
 const DEFAULT_GAS_LIMIT = 100000; // Set a more reasonable gas limit based on successful transactions
-const DEFAULT_MONITOR_INTERVAL = 3000; // Default monitoring interval (milliseconds)
+// While monitoring, the stage config is re-read at most this often (milliseconds);
+// block timestamps decide when the stage is live
+const STAGE_REFRESH_INTERVAL = 15000;
 
-const monitorMintStart = async (contract, startCallback) => {
-  try {
-    const { config } = await getConfigWithFallback(contract);
-    const currentTime = Math.floor(Date.now() / 1000);
-    const publicStage = config.publicStage;
-    
-    if (currentTime >= publicStage.startTime.toNumber() && currentTime <= publicStage.endTime.toNumber()) {
-      // Check if minting is possible
-      try {
-        const price = publicStage.price;
-        log.success(`Minting detected as started!`);
-        log.info(`- Minting price: ${ethers.utils.formatEther(price)} MON`);
-        log.info(`- End time: ${new Date(publicStage.endTime.toNumber() * 1000).toLocaleString()}`);
-        await startCallback(price);
-        return true;
-      } catch (err) {
-        return false;
+// Mints the contract still allows `address`, from its on-chain mint counter or,
+// without one, from the journals of earlier jobs on this contract
+const getRemainingWalletMints = async (address, job) => {
+  const { provider, contractAddress, walletLimit, tokenId } = job;
+  const onchain = await getWalletMintedCount(contractAddress, address, provider, tokenId);
+  const minted = onchain
+    ? onchain.count
+    : job.getJournaledMints().get(address.toLowerCase()) || 0;
+  return { minted, source: onchain ? onchain.source : 'journal', remaining: Math.max(0, walletLimit - minted) };
+};
+
+// Summary fields naming who a mint unit mints to: the wallet itself, or the
+// recipient it pays for (with the recipient's own quantity). `wallet` is the
+// paying address either way.
+const describeMintTarget = (walletEntry, mintAmount) => {
+  const { recipient } = walletEntry;
+  const payer = { id: walletEntry.id, wallet: walletEntry.address, recipient: Boolean(recipient) };
+  return recipient
+    ? { ...payer, label: `recipient ${recipient.index}`, address: recipient.address, requested: recipient.quantity ?? mintAmount }
+    : { ...payer, label: walletEntry.label, address: walletEntry.address, requested: mintAmount };
+};
+
+// Summary of a mint unit before it mints: what it mints, then what it sent,
+// minted and spent, filled in by reportMintResults
+const createSummary = (walletEntry, mintAmount, status, error = null) => ({
+  ...describeMintTarget(walletEntry, mintAmount),
+  minted: 0,
+  status,
+  error,
+  errorCode: null,
+  transactions: [],
+  tokenIds: [],
+  gasUsed: ethers.constants.Zero,
+  cost: ethers.constants.Zero
+});
+
+// Add the transaction, tokens, gas and cost of a confirmed mint to a summary
+const addMintResult = (summary, result) => {
+  summary.transactions.push(result.hash);
+  summary.tokenIds.push(...result.tokenIds);
+  summary.gasUsed = summary.gasUsed.add(result.gasUsed);
+  if (result.cost) {
+    summary.cost = summary.cost.add(result.cost);
+  }
+};
+
+// Allowlist, journal, wallet limit and balance checks shared by every mint mode. Returns
+// the connected wallet with the number of mints still to send, or only
+// `summary` when the wallet is skipped or already done. When the wallet pays
+// for a recipient, the allowlist and the wallet limit apply to the recipient.
+const prepareWalletMint = async (walletEntry, job) => {
+  const { provider, mintPrice, gasLimit, maxFeePerGas, allowlistMint, journal } = job;
+  const wallet = createWallet(walletEntry, provider);
+  const summary = createSummary(walletEntry, job.mintAmount, 'failed');
+  const target = summary.address;
+  const targetName = walletEntry.recipient ? `Recipient ${target}` : `Wallet ${walletEntry.id} (${target})`;
+
+  let walletMintAmount = summary.requested;
+  let allowlistProof = null;
+  if (allowlistMint) {
+    const walletAllowlist = getAllowlistMintForWallet(allowlistMint, target, walletMintAmount);
+    if (!walletAllowlist) {
+      log.warning(`${targetName} is not on the allowlist, skipping`);
+      return { summary: { ...summary, status: 'skipped', error: 'Not on the allowlist' } };
+    }
+    walletMintAmount = walletAllowlist.amount;
+    allowlistProof = walletAllowlist.proof;
+    summary.requested = walletMintAmount;
+  }
+
+  // Resumed job: settle what the previous run left pending and only mint the rest
+  if (journal) {
+    const previous = journal.getWalletMints(wallet.address);
+    const unsettled = previous.filter((mint) => !FINAL_MINT_STATUSES.includes(mint.status));
+    if (unsettled.length > 0) {
+      log.info(`Wallet ${walletEntry.id}: checking ${unsettled.length} mint(s) left pending by the previous run`);
+      const { maxFeePerGas, maxPriorityFeePerGas } = await job.feeEstimator.getFees();
+      const recovered = await recoverJournaledMints({
+        contractAddress: job.contractAddress,
+        wallet,
+        entries: unsettled,
+        maxFeePerGas,
+        maxPriorityFeePerGas,
+        journal,
+        stuckPolicy: job.stuckPolicy
+      });
+      recovered.filter((result) => !result.error).forEach((result) => addMintResult(summary, result));
+    }
+    summary.minted = journal
+      .getWalletMints(wallet.address)
+      .filter((mint) => mint.status === 'confirmed')
+      .reduce((total, mint) => total + (mint.quantity || 1), 0);
+    walletMintAmount = Math.max(0, summary.requested - summary.minted);
+    if (summary.minted > 0) {
+      log.info(`Wallet ${walletEntry.id}: ${summary.minted}/${summary.requested} already minted in this job`);
+    }
+    if (walletMintAmount === 0) {
+      return { summary: { ...summary, status: 'success' } };
+    }
+  }
+
+  // Mints past the wallet limit would only revert
+  if (job.walletLimit > 0) {
+    const { minted, source, remaining } = await getRemainingWalletMints(target, job);
+    if (remaining < walletMintAmount) {
+      log.warning(`${targetName} has minted ${minted} of the ${job.walletLimit} allowed per wallet (${source}), ${remaining > 0 ? `minting ${remaining} instead of ${walletMintAmount}` : 'skipping'}`);
+      summary.requested -= walletMintAmount - remaining;
+      walletMintAmount = remaining;
+    }
+    if (walletMintAmount === 0) {
+      const status = summary.minted > 0 ? 'success' : 'skipped';
+      return { summary: { ...summary, status, error: status === 'skipped' ? 'Wallet limit reached' : null } };
+    }
+  }
+  
+  // Check wallet balance
+  const balance = await provider.getBalance(wallet.address);
+  const requiredAmount = getMintRequirement({ mintPrice, quantity: walletMintAmount, maxFeePerGas, gasLimit });
+  
+  if (balance.lt(requiredAmount)) {
+    log.error(`Wallet ${walletEntry.id} (${wallet.address}) has insufficient balance`);
+    log.info(`Required: ${formatNativeAmount(requiredAmount)}`);
+    log.info(`Current balance: ${formatNativeAmount(balance)}`);
+    return { summary: { ...summary, status: 'skipped', error: 'Insufficient balance' } };
+  }
+
+  const mintOptions = { ...job.mintParams, proof: allowlistProof, tokenId: job.tokenId ?? 0, recipient: walletEntry.recipient?.address };
+  return { wallet, summary, walletMintAmount, mintOptions };
+};
+
+// Log the outcome of every mint of a wallet and complete its summary
+const reportMintResults = (walletEntry, summary, results) => {
+  results.forEach((result, index) => {
+    const mintNumber = index + 1;
+    if (result.error) {
+      const { error } = result;
+      log.error(`Wallet ${walletEntry.id} failed to mint ${mintNumber}`);
+      log.error(`- Error type: ${error.code || 'Unknown'}`);
+      log.error(`- Error message: ${error.message || error}`);
+      if (error.transaction) {
+        log.error(`- Transaction data: ${JSON.stringify(error.transaction, null, 2)}`);
       }
+      summary.error = error.message || error;
+      summary.errorCode = error.code || null;
+      return;
+    }
+    const quantity = result.quantity || 1;
+    summary.minted += quantity;
+    addMintResult(summary, result);
+    log.success(quantity > 1
+      ? `Wallet ${walletEntry.id} successfully minted ${quantity} NFTs in one transaction!`
+      : `Wallet ${walletEntry.id} successfully minted ${mintNumber}!`);
+    log.info(`- Block number: ${result.blockNumber}`);
+    log.info(`- Gas used: ${result.gasUsed}`);
+    if (result.effectiveGasPrice) {
+      log.info(`- Actual Gas price: ${formatGwei(result.effectiveGasPrice)}`);
+      log.info(`- Total cost: ${formatNativeAmount(result.cost)}`);
+    }
+    if (result.tokenIds.length > 0) {
+      log.info(`- Token IDs: ${result.tokenIds.join(', ')}`);
+    }
+  });
+
+  if (summary.minted === summary.requested) {
+    summary.status = 'success';
+  } else if (summary.minted > 0) {
+    summary.status = 'partial';
+  }
+  return summary;
+};
+
+// Whether the contract accepts all of a wallet's mints as a single `qty` call,
+// simulated like the single mint. Returns the gas limit for it, or null to
+// send one transaction per mint.
+const getBatchMint = async (walletEntry, wallet, job, mintVariant, quantity, mintOptions) => {
+  const [report] = await simulateMintVariants({
+    contractAddress: job.contractAddress,
+    wallet,
+    variants: [mintVariant],
+    mintPrice: job.mintPrice,
+    mintOptions,
+    quantity
+  });
+  if (!report.ok) {
+    log.info(`Wallet ${walletEntry.id}: the contract does not mint ${quantity} in one transaction (${report.reason}), sending one per mint`);
+    return null;
+  }
+  return { gasLimit: getBatchGasLimit(report.gasEstimate, job.gasLimit) };
+};
+
+// The configured limit is sized for one mint; a batch gets its estimate plus 20% if that is more
+const getBatchGasLimit = (gasEstimate, gasLimit) => {
+  const estimated = gasEstimate.mul(12).div(10);
+  return estimated.gt(gasLimit) ? estimated.toNumber() : gasLimit;
+};
+
+// Mint options carrying the transaction Magic Eden quotes for all of a
+// wallet's mints, with the mint price as the cap on its value
+const getQuotedMintOptions = async (walletEntry, wallet, job, quantity, mintOptions) => {
+  log.info(`Requesting a Magic Eden mint quote for wallet ${walletEntry.id}...`);
+  const quotedTransaction = await quoteMintTransaction({
+    contractAddress: job.contractAddress,
+    wallet,
+    protocol: job.tokenProtocol,
+    tokenId: job.tokenId ?? 0,
+    quantity,
+    maxValue: job.mintPrice.mul(quantity)
+  });
+  log.success(`Quote received: ${quantity} mint(s) for ${formatNativeAmount(quotedTransaction.value)}`);
+  return { ...mintOptions, quotedTransaction };
+};
+
+// Mints paid for a recipient are journaled, and resumed, per recipient
+const getMintUnitJob = (job, walletEntry) =>
+  walletEntry.recipient
+    ? { ...job, journal: job.journal?.forRecipient(walletEntry.recipient.address) }
+    : job;
+
+// Mint with one wallet and return a summary of what it achieved
+const mintWithWallet = async (walletEntry, job) => {
+  const {
+    contractAddress,
+    mintMethod,
+    mintPrice,
+    gasLimit,
+    feeEstimator,
+    mintDelayMs,
+    jitterMs,
+    supply
+  } = job;
+  const stopReason = supply?.getStopReason();
+  if (stopReason) {
+    log.warning(`Wallet ${walletEntry.id}: ${stopReason.toLowerCase()}, skipping`);
+    return skippedSummary(walletEntry, job, stopReason);
+  }
+  const prepared = await prepareWalletMint(walletEntry, job);
+  if (!prepared.wallet) {
+    return prepared.summary;
+  }
+  const { wallet, summary } = prepared;
+  let { walletMintAmount, mintOptions } = prepared;
+
+  // Leave out mints the supply left cannot cover
+  const remainingSupply = supply?.getRemaining() ?? null;
+  if (remainingSupply !== null && remainingSupply < walletMintAmount) {
+    if (remainingSupply === 0) {
+      log.warning(`Wallet ${walletEntry.id}: no supply left, skipping`);
+      return { ...summary, status: 'skipped', error: 'No supply left' };
+    }
+    log.warning(`Wallet ${walletEntry.id}: only ${remainingSupply} left in the supply, minting ${remainingSupply} instead of ${walletMintAmount}`);
+    summary.requested -= walletMintAmount - remainingSupply;
+    walletMintAmount = remainingSupply;
+  }
+
+  log.info(`Using wallet ${walletEntry.id} (${wallet.address}) to start minting ${walletMintAmount} NFTs${walletEntry.recipient ? ` to ${walletEntry.recipient.address}` : ''}`);
+  
+  const nonceManager = createNonceManager(wallet);
+
+  if (mintMethod === 'quote') {
+    try {
+      mintOptions = await getQuotedMintOptions(walletEntry, wallet, job, walletMintAmount, mintOptions);
+    } catch (error) {
+      log.error(`Wallet ${walletEntry.id}: ${error.message}, nothing sent`);
+      return { ...summary, error: `Quote failed: ${error.message}`, errorCode: 'QUOTE_FAILED' };
     }
-    return false;
+  }
+
+  // Pick the mint function by simulation instead of spending gas on failing attempts
+  log.info(`Simulating mint for wallet ${walletEntry.id}...`);
+  const { variant: mintVariant, gasEstimate, reports } = await selectMintVariant({
+    contractAddress,
+    wallet,
+    variants: job.mintCandidates,
+    mintPrice,
+    mintOptions
+  });
+  if (!mintVariant) {
+    log.error(`Wallet ${walletEntry.id}: every mint method would revert, nothing sent`);
+    return {
+      ...summary,
+      error: reports.map((report) => `${report.variant}: ${report.reason}`).join('; '),
+      errorCode: 'SIMULATION_FAILED'
+    };
+  }
+  if (gasEstimate.gt(gasLimit)) {
+    log.warning(`Estimated gas ${gasEstimate.toString()} exceeds the gas limit ${gasLimit}, the mint may run out of gas`);
+  }
+
+  // One transaction minting everything when the contract takes a quantity;
+  // a Magic Eden quote always covers all of the wallet's mints
+  let batch = null;
+  if (mintVariant === 'quote') {
+    batch = { gasLimit: getBatchGasLimit(gasEstimate, gasLimit) };
+  } else if (walletMintAmount > 1) {
+    batch = await getBatchMint(walletEntry, wallet, job, mintVariant, walletMintAmount, mintOptions);
+  }
+
+  if (batch) {
+    log.info(`Sending 1 mint of ${walletMintAmount} NFTs using ${mintVariant} method...`);
+  } else {
+    log.info(`Sending ${walletMintAmount} mint(s) back-to-back using ${mintVariant} method...`);
+  }
+  const results = await sendMintBurst({
+    contractAddress,
+    wallet,
+    nonceManager,
+    mintVariant,
+    amount: batch ? 1 : walletMintAmount,
+    quantity: batch ? walletMintAmount : 1,
+    mintPrice,
+    gasLimit: batch ? batch.gasLimit : gasLimit,
+    feeEstimator,
+    mintOptions,
+    delayMs: mintDelayMs > 0 ? mintDelayMs + randomDelay(jitterMs) : 0,
+    journal: job.journal,
+    stuckPolicy: job.stuckPolicy,
+    supply
+  });
+
+  return reportMintResults(walletEntry, summary, results);
+};
+
+// Replacement policy for mints that stay pending, from the run settings. The
+// fee ceiling defaults to the max fee cap of the run.
+const getStuckPolicy = (settings, maxFeePerGas) => ({
+  action: settings.stuckTimeout > 0 || settings.stuckBlocks > 0 ? settings.stuckAction : 'none',
+  timeoutMs: settings.stuckTimeout * 1000,
+  blocks: settings.stuckBlocks,
+  bumpPercent: settings.feeBumpPercent,
+  maxFeeCeiling: settings.feeCeiling > 0
+    ? ethers.utils.parseUnits(String(settings.feeCeiling), 'gwei')
+    : maxFeePerGas
+});
+
+const describeStuckLimit = ({ timeoutMs, blocks }) =>
+  [timeoutMs > 0 && `${timeoutMs / 1000}s`, blocks > 0 && `${blocks} blocks`]
+    .filter(Boolean)
+    .join(' or ');
+
+// Per-wallet summary table of a mint job, with the run's minted, requested and spent totals
+const printWalletResults = (results) => {
+  const unit = results.some((result) => result.recipient) ? 'recipient' : 'wallet';
+  log.info(`${unit === 'recipient' ? 'Recipient' : 'Wallet'} results:`);
+  log.dim(`${'#'.padEnd(4)} ${'Label'.padEnd(16)} ${'Address'.padEnd(42)}  ${'Minted'.padEnd(7)} ${'Status'.padEnd(8)} ${'Cost'.padEnd(26)} Tokens`);
+  for (const result of results) {
+    const tokens = result.tokenIds.length > 0 ? ` ${result.tokenIds.join(', ')}` : '';
+    const error = result.error ? ` - ${result.errorCode ? `[${result.errorCode}] ` : ''}${result.error}` : '';
+    const line = `#${String(result.id).padEnd(3)} ${String(result.label).padEnd(16)} ${result.address}  ${`${result.minted}/${result.requested}`.padEnd(7)} ${result.status.padEnd(8)} ${formatNativeAmount(result.cost).padEnd(26)}${tokens}${error}`;
+    if (result.status === 'success') {
+      log.success(line);
+    } else if (result.status === 'partial' || result.status === 'skipped') {
+      log.warning(line);
+    } else {
+      log.error(line);
+    }
+  }
+  const minted = results.reduce((total, result) => total + result.minted, 0);
+  const requested = results.reduce((total, result) => total + result.requested, 0);
+  const cost = results.reduce((total, result) => total.add(result.cost), ethers.constants.Zero);
+  log.info(`Minted ${minted}/${requested} NFTs across ${results.length} ${unit}(s), spent ${formatNativeAmount(cost)}`);
+};
+
+// Summary of a wallet that never got to mint
+const skippedSummary = (walletEntry, job, error, status = 'skipped') =>
+  createSummary(walletEntry, job.mintAmount, status, error);
+
+// Track the supply and the stage end while a run sends mints, or return null
+// when the contract configuration cannot be read
+const startSupplyTracking = async (job) => {
+  try {
+    const { config, tokenId } = await job.adapter.getConfig(job.contract, job.tokenId);
+    return await createSupplyTracker(job.provider, {
+      contractAddress: job.contractAddress,
+      maxSupply: config.maxSupply,
+      endTime: config[job.stageName].endTime.toNumber(),
+      tokenId
+    });
   } catch (error) {
-    return false;
+    log.warning(`Unable to track the supply: ${error.message}`);
+    return null;
   }
 };
 
-const startMonitoring = async (
-  contractAddress,
-  provider,
-  wallets,
-  mintAmount,
-  gasLimit,
-  maxFeePerGas,
-  maxPriorityFeePerGas,
-  monitorInterval = DEFAULT_MONITOR_INTERVAL
-) => {
+// Run the mint job for every wallet in parallel, up to the configured concurrency.
+// Wallets whose turn comes after a sell-out or the stage end are skipped.
+const runMintJob = async (wallets, job, settings) => {
+  if (wallets[0]?.recipient) {
+    log.info(`Minting to ${wallets.length} recipient(s), one at a time`);
+  } else {
+    log.info(`Minting with ${wallets.length} wallet(s), up to ${settings.concurrency} at a time`);
+  }
+  const supply = await startSupplyTracking(job);
+  let outcomes;
   try {
-    const firstWallet = createWallet(wallets[0].privateKey, provider);
-    log.info('Creating monitoring contract instance...');
-    const contract = new ethers.Contract(contractAddress, ABI, firstWallet);
-    
-    log.info('Starting to monitor minting status...');
-    log.info(`Monitoring interval: ${monitorInterval/1000} seconds`);
-    
-    let isFirstAttempt = true;
-    let isCompleted = false;
-    
-    const monitor = async () => {
-      const startMinting = async (price) => {
-        // Execute minting logic
-        for (let i = 0; i < wallets.length; i++) {
-          const wallet = createWallet(wallets[i].privateKey, provider);
-          
-          // Check wallet balance
-          const balance = await provider.getBalance(wallet.address);
-          const requiredAmount = price.mul(mintAmount).add(maxFeePerGas.mul(gasLimit));
-          
-          if (balance.lt(requiredAmount)) {
-            log.error(`Wallet ${i + 1} (${wallet.address}) has insufficient balance`);
-            log.info(`Required: ${ethers.utils.formatEther(requiredAmount)} MON`);
-            log.info(`Current balance: ${ethers.utils.formatEther(balance)} MON`);
-            continue;
-          }
+    outcomes = await runConcurrently(
+      wallets,
+      (walletEntry) => mintWithWallet(walletEntry, getMintUnitJob({ ...job, supply }, walletEntry)),
+      settings
+    );
+  } finally {
+    supply?.stop();
+  }
+  const results = outcomes.map(({ item, value, error }) =>
+    value || skippedSummary(item, job, error.message, 'failed'));
+  printWalletResults(results);
+  return results;
+};
 
-          log.info(`Using wallet ${i + 1} (${wallet.address}) to start minting ${mintAmount} NFTs`);
-          
-          for (let j = 0; j < mintAmount; j++) {
-            const result = await executeMint(
-              contractAddress,
-              wallet,
-              gasLimit,
-              maxFeePerGas,
-              'fourParams', // Prefer using fourParams
-              price,
-              getTransactionExplorerUrl(null, ENV.NETWORK),
-              maxPriorityFeePerGas
-            );
-
-            if (result.error && isFirstAttempt) {
-              // If the first attempt fails, switch minting method and try again
-              isFirstAttempt = false;
-              const retryResult = await executeMint(
-                contractAddress,
-                wallet,
-                gasLimit,
-                maxFeePerGas,
-                'twoParams',
-                price,
-                getTransactionExplorerUrl(null, ENV.NETWORK),
-                maxPriorityFeePerGas
-              );
-              if (!retryResult.error) {
-                log.success(`Success using twoParams method!`);
-              }
-            }
-            
-            if (j < mintAmount - 1) {
-              await new Promise(resolve => setTimeout(resolve, 2000));
-            }
-          }
-          
-          if (i < wallets.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 5000));
-          }
-        }
-      };
+const formatStageTime = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+// Wait for the first block whose timestamp lies inside the stage window, then
+// mint. The local clock plays no part in that decision: the contract checks the
+// stage against block.timestamp, so that is what decides when minting works.
+const startMonitoring = async (
+  contract,
+  startMinting,
+  {
+    strategy = 'poll',
+    monitorInterval = ENV.MONITOR_INTERVAL * 1000,
+    wsUrl = null,
+    stageName = 'publicStage',
+    tokenId = null,
+    adapter = MINT_ADAPTERS.magicEden
+  } = {}
+) => {
+  log.info('Starting to monitor minting status...');
+  if (strategy === 'ws') {
+    log.info('Watching new blocks over WebSocket');
+  } else {
+    log.info(`Polling for new blocks every ${monitorInterval / 1000} seconds`);
+  }
 
-      const started = await monitorMintStart(contract, startMinting);
-      if (started) {
-        isCompleted = true;
-        return true;
+  let stage = null;
+  let refreshedAt = 0;
+  let lastRefreshError = null;
+  const refreshStage = async () => {
+    try {
+      const { config } = await adapter.getConfig(contract, tokenId);
+      stage = config[stageName];
+      refreshedAt = Date.now();
+      lastRefreshError = null;
+      return true;
+    } catch (error) {
+      // Warn once per distinct failure instead of on every block
+      if (error.message !== lastRefreshError) {
+        log.warning(`Unable to read the stage configuration: ${error.message}`);
+        lastRefreshError = error.message;
       }
       return false;
-    };
+    }
+  };
+  // An end time of 0 leaves the stage open-ended
+  const isLive = (block) =>
+    block.timestamp >= stage.startTime.toNumber() &&
+    (stage.endTime.isZero() || block.timestamp <= stage.endTime.toNumber());
+
+  const { block } = await waitForBlock(
+    contract.provider,
+    async (block) => {
+      if (!stage || Date.now() - refreshedAt >= STAGE_REFRESH_INTERVAL) {
+        if (!(await refreshStage()) && !stage) {
+          return false;
+        }
+        const startsIn = stage.startTime.toNumber() - block.timestamp;
+        if (startsIn > 0) {
+          log.dim(`Block ${block.number}: stage starts in ${startsIn}s (${formatStageTime(stage.startTime.toNumber())})`);
+        }
+      }
 
-    // Continuously monitor until minting starts
-    while (!isCompleted) {
-      const started = await monitor();
-      if (started) {
-        log.success('Monitoring ended - Minting completed');
-        break;
+      const endTime = stage.endTime.toNumber();
+      if (endTime > 0 && block.timestamp > endTime) {
+        throw new Error(`The ${stageName} ended at ${formatStageTime(endTime)}`);
+      }
+      if (!isLive(block)) {
+        return false;
       }
-      await new Promise(resolve => setTimeout(resolve, monitorInterval));
+      // Confirm with a fresh read so a rescheduled stage is not minted early
+      if (Date.now() - refreshedAt > 1000) {
+        await refreshStage();
+      }
+      return isLive(block);
+    },
+    { strategy, intervalMs: monitorInterval, wsUrl }
+  );
+
+  log.success(`Minting detected as started in block ${block.number}!`);
+  log.info(`- Minting price: ${stage.price ? formatNativeAmount(stage.price) : 'not readable from the contract'}`);
+  log.info(`- End time: ${formatStageTime(stage.endTime.toNumber())}`);
+  const results = await startMinting(stage.price);
+  log.success('Monitoring ended - Minting completed');
+  return results;
+};
+
+// Seconds before the start time at which the countdown hands over to block
+// watching and the pre-signed nonces are checked one last time
+const SCHEDULE_LEAD_TIME = 5;
+// Local clock drift (seconds) against block timestamps worth warning about
+const CLOCK_DRIFT_WARNING = 2;
+// How often the latest block is polled for the start block without a WebSocket (milliseconds)
+const START_BLOCK_POLL_INTERVAL = 250;
+
+// Mints are signed before the stage opens, when simulating them can only
+// report NotActive. Which config getter the contract answered tells ERC721
+// (twoParams) apart from ERC1155 (fourParams) instead; other templates use
+// their first detected mint function.
+const getScheduledVariant = ({ mintMethod, mintCandidates }, configVariant) => {
+  if (mintMethod === 'auto') {
+    return configVariant ?? mintCandidates[0];
+  }
+  if (mintMethod === 'allowlist') {
+    return configVariant === 'fourParams' ? 'allowlistFourParams' : 'allowlist';
+  }
+  return mintMethod;
+};
+
+// Sign all of a wallet's mints with fixed nonces from its pending count
+const presignWalletMints = async (walletEntry, job, mintVariant) => {
+  const prepared = await prepareWalletMint(walletEntry, job);
+  if (!prepared.wallet) {
+    return prepared;
+  }
+  const { wallet, walletMintAmount } = prepared;
+  let { mintOptions } = prepared;
+
+  // A Magic Eden quote is one transaction for all of the wallet's mints
+  const quoted = mintVariant === 'quote';
+  if (quoted) {
+    mintOptions = await getQuotedMintOptions(walletEntry, wallet, job, walletMintAmount, mintOptions);
+  }
+
+  const sign = async (startNonce) => {
+    const signedMints = await signMintBatch({
+      contractAddress: job.contractAddress,
+      wallet,
+      startNonce,
+      mintVariant,
+      amount: quoted ? 1 : walletMintAmount,
+      quantity: quoted ? walletMintAmount : 1,
+      mintPrice: job.mintPrice,
+      gasLimit: job.gasLimit,
+      feeEstimator: job.feeEstimator,
+      mintOptions
+    });
+    log.info(`Wallet ${walletEntry.id}: signed ${signedMints.length} mint(s) with nonces ${startNonce}-${startNonce + signedMints.length - 1}`);
+    return signedMints;
+  };
+
+  const signedMints = await sign(await wallet.getTransactionCount('pending'));
+  return { ...prepared, walletEntry, signedMints, sign };
+};
+
+// Re-sign a wallet whose pending nonce moved since signing (it sent something else)
+const refreshPresignedMints = async (presigned) => {
+  const pendingNonce = await presigned.wallet.getTransactionCount('pending');
+  if (pendingNonce !== presigned.signedMints[0].nonce) {
+    log.warning(`Wallet ${presigned.walletEntry.id}: nonce moved to ${pendingNonce} since signing, re-signing`);
+    presigned.signedMints = await presigned.sign(pendingNonce);
+  }
+};
+
+// Live countdown until SCHEDULE_LEAD_TIME before `startTime` (chain time).
+// getTimeRemaining works on the local clock, so the target is shifted by the
+// measured drift.
+const countdownTo = async (startTime, drift) => {
+  const localTarget = Math.round(startTime + drift);
+  const liveLine = process.stdout.isTTY;
+  let lastLogged = null;
+
+  while (true) {
+    const remaining = getTimeRemaining(localTarget);
+    if (remaining.totalSeconds <= SCHEDULE_LEAD_TIME) {
+      break;
     }
-  } catch (error) {
-    log.error('Failed to initialize monitoring:', error.message);
-    if (error.error) {
-      log.error('Detailed error:', error.error);
+    if (liveLine) {
+      process.stdout.write(`\r${chalk.cyan(`> Minting starts in ${remaining.formatted}`)}   `);
+    } else if (lastLogged === null || lastLogged - remaining.totalSeconds >= 60) {
+      log.info(`Minting starts in ${remaining.formatted}`);
+      lastLogged = remaining.totalSeconds;
     }
-    throw error;
+    await sleep(1000);
+  }
+  if (liveLine) {
+    process.stdout.write('\n');
   }
 };
 
-const getGasPrice = async (provider) => {
+/**
+ * Scheduled mint: sign every wallet's mints ahead of time, count down to the
+ * stage start on chain time, then broadcast everything as soon as a block at
+ * or past the start time arrives. Falls back to an immediate mint when the
+ * start time cannot be read or has already passed.
+ */
+const runScheduledMint = async (contract, wallets, job, settings, { stageName, wsUrl }) => {
+  let startTime;
+  let configVariant;
+  try {
+    const { config, variant } = await job.adapter.getConfig(contract, job.tokenId);
+    startTime = config[stageName].startTime.toNumber();
+    configVariant = variant;
+  } catch (error) {
+    log.warning('Unable to fetch start time, starting minting immediately');
+    return runMintJob(wallets, job, settings);
+  }
+
+  const { drift, block } = await measureClockDrift(job.provider);
+  if (Math.abs(drift) >= CLOCK_DRIFT_WARNING) {
+    log.warning(`Local clock is ${Math.abs(drift).toFixed(1)}s ${drift > 0 ? 'ahead of' : 'behind'} the chain, the countdown follows block time`);
+  }
+  if (block.timestamp >= startTime) {
+    log.info('The stage has already started, minting immediately');
+    return runMintJob(wallets, job, settings);
+  }
+  log.info(`Minting starts at ${formatStageTime(startTime)} (block time)`);
+
+  const mintVariant = getScheduledVariant(job, configVariant);
+  log.info(`Pre-signing mints with the ${mintVariant} method...`);
+  const prepared = await Promise.all(
+    wallets.map((walletEntry) =>
+      presignWalletMints(walletEntry, job, mintVariant).catch((error) => ({
+        summary: skippedSummary(walletEntry, job, `Signing failed: ${error.message}`, 'failed')
+      }))
+    )
+  );
+  const presigned = prepared.filter((entry) => entry.signedMints);
+  if (presigned.length === 0) {
+    const results = prepared.map((entry) => entry.summary);
+    printWalletResults(results);
+    return results;
+  }
+
+  // Tracked from just before the start block, so its reads do not delay the broadcast
+  let supply = null;
+  // Ctrl+C while waiting is safe: nothing has been broadcast yet
+  const onInterrupt = () => {
+    process.stdout.write('\n');
+    log.warning('Scheduled mint cancelled, no transaction was broadcast');
+    process.exit(130);
+  };
+  process.once('SIGINT', onInterrupt);
+  try {
+    await countdownTo(startTime, drift);
+    await Promise.all(
+      presigned.map((entry) =>
+        refreshPresignedMints(entry).catch((error) => {
+          // This wallet is left out of the broadcast, the others go ahead
+          entry.signedMints = null;
+          entry.summary = { ...entry.summary, status: 'failed', error: `Re-signing failed: ${error.message}` };
+        })
+      )
+    );
+    supply = await startSupplyTracking(job);
+    log.info('Waiting for the start block...');
+    const { block: startBlock } = await waitForBlock(
+      job.provider,
+      (block) => block.timestamp >= startTime,
+      { strategy: wsUrl ? 'ws' : 'poll', intervalMs: START_BLOCK_POLL_INTERVAL, wsUrl }
+    );
+    log.success(`Block ${startBlock.number} reached the start time, broadcasting`);
+  } catch (error) {
+    supply?.stop();
+    throw error;
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+
+  let results;
   try {
-    // Attempt to fetch the latest gas price up to 3 times
-    for (let i = 0; i < 3; i++) {
-      try {
-        const feeData = await provider.getFeeData();
-        if (!feeData || !feeData.lastBaseFeePerGas) {
-          throw new Error('Incomplete Gas price data fetched');
+    results = await Promise.all(
+      prepared.map(async (entry) => {
+        if (!entry.signedMints) {
+          return entry.summary;
         }
+        try {
+          const mintResults = await broadcastSignedMints({
+            contractAddress: job.contractAddress,
+            wallet: entry.wallet,
+            signedMints: entry.signedMints,
+            mintVariant,
+            journal: job.journal,
+            stuckPolicy: job.stuckPolicy,
+            supply
+          });
+          return reportMintResults(entry.walletEntry, entry.summary, mintResults);
+        } catch (error) {
+          return { ...entry.summary, status: 'failed', error: error.message };
+        }
+      })
+    );
+  } finally {
+    supply?.stop();
+  }
+  printWalletResults(results);
+  return results;
+};
 
-        const baseFee = feeData.lastBaseFeePerGas;
-        const currentGasPrice = await provider.getGasPrice();
-        
-        // Calculate suggested max fee: take the greater of current gas price and base fee * 2
-        const baseFeeMul2 = baseFee.mul(2);
-        const suggestedMaxFee = currentGasPrice.gt(baseFeeMul2) ? currentGasPrice : baseFeeMul2;
-        
-        log.info('Current network Gas information:');
-        log.info(`- Base Fee: ${ethers.utils.formatUnits(baseFee, 'gwei')} gwei`);
-        log.info(`- Current Gas Price: ${ethers.utils.formatUnits(currentGasPrice, 'gwei')} gwei`);
-        log.info(`- Suggested Max Fee: ${ethers.utils.formatUnits(suggestedMaxFee, 'gwei')} gwei`);
-        
-        return {
-          baseFee,
-          currentGasPrice,
-          suggestedMaxFee
-        };
-      } catch (retryError) {
-        if (i === 2) throw retryError; // Throw error if the last attempt fails
-        log.warning(`Attempt ${i + 1} to fetch Gas price failed, retrying...`);
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retrying
+const formatGwei = (value) => `${ethers.utils.formatUnits(value, 'gwei')} gwei`;
+
+// Current base fee and preset priority fees from recent blocks, shown before the fee questions
+const getNetworkFees = async (provider) => {
+  // Attempt to fetch the fee history up to 3 times
+  for (let i = 0; i < 3; i++) {
+    try {
+      const { baseFee, presets } = await getFeePresets(provider);
+      const suggestedMaxFee = getSuggestedMaxFee(baseFee, presets);
+
+      log.info('Current network fees:');
+      log.info(`- Base Fee: ${formatGwei(baseFee)}`);
+      log.info(`- Priority fee: Normal ${formatGwei(presets.normal)}, Fast ${formatGwei(presets.fast)}, Fastest ${formatGwei(presets.fastest)}`);
+      log.info(`- Suggested max fee cap: ${formatGwei(suggestedMaxFee)}`);
+
+      return { baseFee, presets, suggestedMaxFee };
+    } catch (retryError) {
+      if (i === 2) {
+        throw new Error(`Unable to read network fees: ${retryError.message}`);
       }
+      log.warning(`Attempt ${i + 1} to fetch network fees failed, retrying...`);
+      await sleep(1000);
     }
-  } catch (error) {
-    log.error('Failed to fetch Gas price:', error.message);
-    // If all attempts fail, use conservative default values
-    const defaultBaseFee = ethers.utils.parseUnits('50', 'gwei');
-    const defaultGasPrice = ethers.utils.parseUnits('100', 'gwei');
-    log.warning('Using conservative default Gas prices:');
-    log.warning(`- Default Base Fee: 50 gwei`);
-    log.warning(`- Default Gas Price: 100 gwei`);
-    return {
-      baseFee: defaultBaseFee,
-      currentGasPrice: defaultGasPrice,
-      suggestedMaxFee: defaultGasPrice
-    };
   }
 };
 
-const main = async () => {
+const buildQuestions = ({ baseFee, suggestedMaxFee, symbol, wsUrl }) => [
+  {
+    type: 'list',
+    name: 'mintMode',
+    message: 'Minting mode:',
+    choices: ['Instant Mint', 'Monitoring Mode', 'Scheduled Mint']
+  },
+  {
+    type: 'list',
+    name: 'monitorStrategy',
+    message: 'How to watch for new blocks:',
+    choices: Object.entries(BLOCK_STRATEGIES).map(([value, name]) => ({ name, value })),
+    default: wsUrl ? 'ws' : 'poll',
+    when: (answers) => answers.mintMode === 'Monitoring Mode'
+  },
+  {
+    type: 'input',
+    name: 'monitorInterval',
+    message: 'Block polling interval (seconds):',
+    default: String(ENV.MONITOR_INTERVAL),
+    when: (answers) => answers.mintMode === 'Monitoring Mode' && answers.monitorStrategy === 'poll',
+    validate: validateMonitorInterval
+  },
+  {
+    type: 'input',
+    name: 'contractAddress',
+    message: 'NFT contract address, Magic Eden link or explorer URL:',
+    validate: validateCollectionInput
+  },
+  {
+    type: 'list',
+    name: 'mintMethod',
+    message: 'Select minting method:',
+    choices: [
+      { name: 'Auto (simulate fourParams and twoParams, use the one that works)', value: 'auto' },
+      { name: 'fourParams', value: 'fourParams' },
+      { name: 'twoParams', value: 'twoParams' },
+      { name: 'Allowlist (Merkle proof from an allowlist file)', value: 'allowlist' },
+      { name: 'Magic Eden quote (mint transaction from the Magic Eden API)', value: 'quote' }
+    ],
+    default: 'auto'
+  },
+  {
+    type: 'list',
+    name: 'tokenProtocol',
+    message: 'Token standard of the collection:',
+    choices: [
+      { name: 'Auto-detect', value: 'auto' },
+      { name: 'ERC721', value: 'ERC721' },
+      { name: 'ERC1155', value: 'ERC1155' }
+    ],
+    default: 'auto',
+    when: (answers) => answers.mintMethod === 'quote'
+  },
+  {
+    type: 'input',
+    name: 'allowlistFile',
+    message: 'Allowlist file (addresses, optionally with quantities):',
+    when: (answers) => answers.mintMethod === 'allowlist',
+    validate: validateFilePath
+  },
+  {
+    type: 'input',
+    name: 'recipientsFile',
+    message: 'Recipients file to mint to, paid by the selected wallet (leave empty to mint to the wallets):',
+    default: '',
+    validate: (input) => (input === '' ? true : validateFilePath(input))
+  },
+  {
+    type: 'confirm',
+    name: 'useContractPrice',
+    message: 'Fetch price from contract?',
+    default: true
+  },
+  {
+    type: 'input',
+    name: 'price',
+    message: `Please enter minting price (${symbol}):`,
+    when: (answers) => !answers.useContractPrice,
+    validate: validatePrice
+  },
+  {
+    type: 'input',
+    name: 'mintAmount',
+    message: 'Number of mints per wallet:',
+    default: '1',
+    validate: validateMintAmount
+  },
+  {
+    type: 'input',
+    name: 'gasLimit',
+    message: 'Gas Limit (recommended 110000):',
+    default: '110000',
+    validate: validateGasLimit
+  },
+  {
+    type: 'list',
+    name: 'feeStrategy',
+    message: 'Fee strategy:',
+    choices: Object.entries(FEE_STRATEGIES).map(([value, name]) => ({ name, value })),
+    default: 'fast'
+  },
+  {
+    type: 'input',
+    name: 'feePercentile',
+    message: 'Percentile of recent priority fees (1-99):',
+    default: '75',
+    when: (answers) => answers.feeStrategy === 'percentile',
+    validate: validateFeePercentile
+  },
+  {
+    type: 'input',
+    name: 'priorityFee',
+    message: 'Priority fee (gwei):',
+    when: (answers) => answers.feeStrategy === 'fixed',
+    validate: validatePriorityFee
+  },
+  {
+    type: 'input',
+    name: 'priorityFeePercent',
+    message: 'Priority fee percentage (enter a number, e.g., 30 for 30%, default 10%):',
+    default: '10',
+    when: (answers) => answers.feeStrategy === 'custom',
+    validate: validatePriorityFeePercent
+  },
+  {
+    type: 'input',
+    name: 'maxGasPrice',
+    message: `Max fee cap (gwei), never exceeded by any transaction (suggested ${ethers.utils.formatUnits(suggestedMaxFee, 'gwei')}):`,
+    default: ethers.utils.formatUnits(suggestedMaxFee, 'gwei'),
+    validate: createMaxGasPriceValidator(baseFee)
+  }
+];
+
+// Mint one token of the collection (the collection itself for ERC721, tokenId
+// null): its stage, price, wallet limit and allowlist are read for that token.
+// Returns the wallet summaries.
+const runTokenMint = async (wallets, collectionJob, settings, { answers, presets, cliOptions, network }) => {
+  const { contract, tokenId, stageName, adapter } = collectionJob;
+  const allowlistMint = answers.mintMethod === 'allowlist'
+    ? await prepareAllowlistMint(contract, answers.allowlistFile, tokenId)
+    : null;
+
+  // Read once: mints past the wallet limit are clamped per wallet before
+  // anything is sent, and the template's own mint arguments go with every mint
+  let walletLimit = 0;
+  let mintParams = {};
   try {
-    displayBanner();
+    const tokenConfig = await adapter.getConfig(contract, tokenId);
+    walletLimit = tokenConfig.config.walletLimit.toNumber();
+    mintParams = tokenConfig.mintParams || {};
+  } catch (error) {
+    log.warning(`Unable to read the mint configuration: ${error.message}`);
+  }
+  if (walletLimit > 0) {
+    log.info(`Wallet limit: ${walletLimit} per wallet`);
+  }
 
-    const wallets = loadWallets();
-    if (wallets.length === 0) {
-      log.error('No valid wallet configurations found, please check the .env file');
-      return;
-    }
+  let journaledMints = null;
+  const mintJob = {
+    ...collectionJob,
+    walletLimit,
+    mintParams,
+    allowlistMint,
+    // Journals of earlier jobs are read once, when the first wallet without an
+    // on-chain mint counter needs them
+    getJournaledMints: () => {
+      journaledMints = journaledMints || countJournaledMints({
+        chainId: collectionJob.chainId,
+        contractAddress: collectionJob.contractAddress,
+        tokenId
+      });
+      return journaledMints;
+    },
+    // Resuming counts the mints of this token only
+    journal: tokenId === null ? collectionJob.journal : collectionJob.journal.forToken(tokenId)
+  };
 
-    const provider = createProvider(ENV.NETWORK);
-    
-    // Fetch real-time gas prices
-    const { baseFee, currentGasPrice, suggestedMaxFee } = await getGasPrice(provider);
-    
-    const answers = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'mintMode',
-        message: 'Minting mode:',
-        choices: ['Instant Mint', 'Monitoring Mode', 'Scheduled Mint']
-      },
-      {
-        type: 'input',
-        name: 'contractAddress',
-        message: 'NFT contract address or Magic Eden link:'
-      },
-      {
-        type: 'list',
-        name: 'mintMethod',
-        message: 'Select minting method:',
-        choices: [
-          { name: 'Auto (try fourParams first, fallback to twoParams)', value: 'auto' },
-          { name: 'fourParams', value: 'fourParams' },
-          { name: 'twoParams', value: 'twoParams' }
-        ],
-        default: 'auto'
-      },
-      {
-        type: 'confirm',
-        name: 'useContractPrice',
-        message: 'Fetch price from contract?',
-        default: true
-      },
-      {
-        type: 'input',
-        name: 'mintAmount',
-        message: 'Number of mints per wallet:',
-        default: '1',
-        validate: (input) => {
-          const num = parseInt(input);
-          if (isNaN(num) || num < 1) {
-            return 'Please enter a number greater than 0';
-          }
-          return true;
-        }
-      },
-      {
-        type: 'input',
-        name: 'gasLimit',
-        message: 'Gas Limit (recommended 110000):',
-        default: '110000',
-        validate: (input) => {
-          const num = parseInt(input);
-          if (isNaN(num) || num < 100000) {
-            return 'Gas Limit cannot be less than 100000';
-          }
-          return true;
-        }
-      },
-      {
-        type: 'input',
-        name: 'maxGasPrice',
-        message: `Maximum acceptable Gas Price (gwei) (current network suggestion ${ethers.utils.formatUnits(suggestedMaxFee, 'gwei')}, real-time Gas ${ethers.utils.formatUnits(currentGasPrice, 'gwei')}):`,
-        default: ethers.utils.formatUnits(suggestedMaxFee, 'gwei'),
-        validate: (input) => {
-          const num = parseFloat(input);
-          if (isNaN(num) || num < parseFloat(ethers.utils.formatUnits(baseFee, 'gwei'))) {
-            return `Gas Price cannot be lower than current Base Fee (${ethers.utils.formatUnits(baseFee, 'gwei')} gwei)`;
-          }
-          return true;
+  if (answers.mintMode === 'Monitoring Mode') {
+    return startMonitoring(
+      contract,
+      (price) => {
+        // Templates without a readable price mint at the price entered
+        const mintPrice = price ?? (answers.useContractPrice ? null : ethers.utils.parseEther(answers.price));
+        if (!mintPrice) {
+          throw new Error('The contract has no readable price, enter it with --price');
         }
+        return runMintJob(wallets, { ...mintJob, mintPrice }, settings);
       },
       {
-        type: 'input',
-        name: 'priorityFeePercent',
-        message: 'Priority fee percentage (enter a number, e.g., 30 for 30%, default 10%):',
-        default: '10',
-        validate: (input) => {
-          if (input === '') return true;
-          const num = parseFloat(input);
-          if (isNaN(num) || num <= 0 || num > 100) {
-            return 'Please enter a number between 1 and 100';
-          }
-          return true;
-        }
+        strategy: answers.monitorStrategy,
+        // Also the fallback interval when the WebSocket is unavailable
+        monitorInterval: parseFloat(answers.monitorInterval ?? ENV.MONITOR_INTERVAL) * 1000,
+        wsUrl: network.WS_URL,
+        stageName,
+        tokenId,
+        adapter
       }
-    ]);
+    );
+  }
 
-    const contractAddress = extractContractAddress(answers.contractAddress);
-    const mintAmount = parseInt(answers.mintAmount);
-    const gasLimit = parseInt(answers.gasLimit);
-    
-    log.info(`Using contract address: ${contractAddress}`);
+  // Fetch minting price
+  let mintPrice;
+  if (answers.useContractPrice) {
+    log.info('Fetching price from contract...');
+    mintPrice = await getMintPrice(contract, stageName, tokenId, adapter);
     
-    try {
-      // Fetch collection information
-      log.info('Fetching collection information...');
-      const { name, symbol } = await getCollectionInfo(contractAddress, provider);
-      log.info(`Collection: ${name} (${symbol})`);
-
-      // Create contract instance for each wallet and fetch configuration
-      log.info('Creating contract instance...');
-      const firstWallet = createWallet(wallets[0].privateKey, provider);
-      const contract = new ethers.Contract(contractAddress, ABI, firstWallet);
-      
-      // Calculate priority fee
-      const priorityFeePercent = parseFloat(answers.priorityFeePercent || '10');
-      const priorityFeeGwei = ethers.utils.formatUnits(baseFee.mul(priorityFeePercent).div(100), 'gwei');
-      const maxPriorityFeePerGas = ethers.utils.parseUnits(priorityFeeGwei, 'gwei');
-      const maxFeePerGas = ethers.utils.parseUnits(answers.maxGasPrice, 'gwei');
-
-      log.info(`Gas settings:`);
-      log.info(`- Gas limit: ${gasLimit}`);
-      log.info(`- Current Base Fee: ${ethers.utils.formatUnits(baseFee, 'gwei')} gwei`);
-      log.info(`- Current Gas Price: ${ethers.utils.formatUnits(currentGasPrice, 'gwei')} gwei`);
-      log.info(`- Max fee: ${answers.maxGasPrice} gwei`);
-      log.info(`- Priority fee: ${priorityFeeGwei} gwei (${priorityFeePercent}% of Base Fee)`);
-      log.info(`- Estimated total Gas cost: ${ethers.utils.formatEther(maxFeePerGas.mul(gasLimit))} MON`);
-
-      if (answers.mintMode === 'Monitoring Mode') {
-        const monitorInterval = parseInt(answers.monitorInterval) * 1000;
-        await startMonitoring(
-          contractAddress,
-          provider,
-          wallets,
-          mintAmount,
-          gasLimit,
-          maxFeePerGas,
-          maxPriorityFeePerGas,
-          monitorInterval
-        );
-        return;
-      }
-
-      // Fetch contract configuration and correct minting variant
-      let mintVariant = 'fourParams';
-      log.info('Defaulting to fourParams minting method');
-
-      // Fetch minting price
-      let mintPrice;
-      if (answers.useContractPrice) {
-        log.info('Fetching price from contract...');
-        mintPrice = await getMintPrice(contract);
-        
-        if (!mintPrice) {
-          // If unable to fetch price from contract, prompt for manual input
-          const priceAnswer = await inquirer.prompt([
-            {
-              type: 'input',
-              name: 'price',
-              message: 'Unable to fetch price from contract, please enter minting price (MON):',
-              validate: (input) => {
-                const num = parseFloat(input);
-                if (isNaN(num)) {
-                  return 'Please enter a valid number';
-                }
-                return true;
-              }
-            }
-          ]);
-          mintPrice = ethers.utils.parseEther(priceAnswer.price);
-          log.info(`Using manually entered price - [${ethers.utils.formatEther(mintPrice)} MON]`);
-        }
-      } else {
-        // Directly input price manually
-        const priceAnswer = await inquirer.prompt([
+    if (!mintPrice) {
+      // If unable to fetch price from contract, prompt for manual input
+      const priceAnswer = await resolveAnswers(
+        [
           {
             type: 'input',
             name: 'price',
-            message: 'Please enter minting price (MON):',
-            validate: (input) => {
-              const num = parseFloat(input);
-              if (isNaN(num)) {
-                return 'Please enter a valid number';
-              }
-              return true;
-            }
+            message: `Unable to fetch price from contract, please enter minting price (${network.SYMBOL}):`,
+            validate: validatePrice
           }
-        ]);
-        mintPrice = ethers.utils.parseEther(priceAnswer.price);
-        log.info(`Using manually entered price - [${ethers.utils.formatEther(mintPrice)} MON]`);
-      }
+        ],
+        presets,
+        { interactive: cliOptions.interactive }
+      );
+      mintPrice = ethers.utils.parseEther(priceAnswer.price);
+      log.info(`Using manually entered price - [${formatNativeAmount(mintPrice)}]`);
+    }
+  } else {
+    // Price was entered manually with the other answers
+    mintPrice = ethers.utils.parseEther(answers.price);
+    log.info(`Using manually entered price - [${formatNativeAmount(mintPrice)}]`);
+  }
 
-      // If scheduled minting, wait for start time
-      if (answers.mintMode === 'Scheduled Mint') {
-        try {
-          const config = await contract.getConfig();
-          const startTime = config.publicStage.startTime.toNumber();
-          const currentTime = Math.floor(Date.now() / 1000);
-          
-          if (currentTime < startTime) {
-            const timeLeft = startTime - currentTime;
-            log.info(`Waiting for minting to start, time left: ${Math.floor(timeLeft / 3600)} hours ${Math.floor((timeLeft % 3600) / 60)} minutes`);
-            
-            // Wait until start time
-            await new Promise(resolve => setTimeout(resolve, timeLeft * 1000));
-          }
-        } catch (error) {
-          log.warning('Unable to fetch start time, starting minting immediately');
-        }
-      }
+  if (answers.mintMode === 'Scheduled Mint') {
+    // Pre-sign, wait for the start block, then broadcast
+    return runScheduledMint(contract, wallets, { ...mintJob, mintPrice }, settings, {
+      stageName,
+      wsUrl: network.WS_URL
+    });
+  }
+  return runMintJob(wallets, { ...mintJob, mintPrice }, settings);
+};
 
-      // Execute minting
-      for (let i = 0; i < wallets.length; i++) {
-        const wallet = createWallet(wallets[i].privateKey, provider);
-        
-        // Check wallet balance
-        const balance = await provider.getBalance(wallet.address);
-        const requiredAmount = mintPrice.mul(mintAmount).add(maxFeePerGas.mul(gasLimit));
-        
-        if (balance.lt(requiredAmount)) {
-          log.error(`Wallet ${i + 1} (${wallet.address}) has insufficient balance`);
-          log.info(`Required: ${ethers.utils.formatEther(requiredAmount)} MON`);
-          log.info(`Current balance: ${ethers.utils.formatEther(balance)} MON`);
-          continue;
-        }
+// Mint units of a recipients file: the one selected wallet paying for each
+// recipient in turn, so they share its nonces. Only mint functions taking the
+// recipient as an argument remain candidates.
+const getRecipientUnits = (wallets, answers, mintCandidates) => {
+  if (wallets.length !== 1) {
+    throw new Error(`Minting to recipients pays from one wallet, but ${wallets.length} are selected: pick it with --wallets`);
+  }
+  if (answers.mintMethod === 'quote') {
+    throw new Error('Magic Eden quotes mint to the paying wallet, use another minting method with recipients');
+  }
+  if (answers.mintMode === 'Scheduled Mint') {
+    throw new Error('Minting to recipients works in the instant and monitoring modes only');
+  }
+  const candidates = mintCandidates.filter((variant) => !getMintCall(variant).toSender);
+  if (candidates.length === 0) {
+    throw new Error(`The contract's mint function (${mintCandidates.join(', ')}) mints to the paying wallet only`);
+  }
 
-        log.info(`Using wallet ${i + 1} (${wallet.address}) to start minting ${mintAmount} NFTs`);
-        
-        // Loop to mint the specified amount
-        for (let j = 0; j < mintAmount; j++) {
-          log.info(`Minting ${j + 1}/${mintAmount}...`);
-          
-          let result;
-          if (answers.mintMethod === 'auto') {
-            // Try fourParams first
-            log.info('Attempting to mint using fourParams method...');
-            result = await executeMint(
-              contractAddress,
-              wallet,
-              gasLimit,
-              maxFeePerGas,
-              'fourParams',
-              mintPrice,
-              getTransactionExplorerUrl(null, ENV.NETWORK),
-              maxPriorityFeePerGas
-            );
-
-            if (result.error) {
-              log.warning('fourParams method failed, error:', result.error);
-              log.info('Attempting to mint using twoParams method...');
-              result = await executeMint(
-                contractAddress,
-                wallet,
-                gasLimit,
-                maxFeePerGas,
-                'twoParams',
-                mintPrice,
-                getTransactionExplorerUrl(null, ENV.NETWORK),
-                maxPriorityFeePerGas
-              );
-              
-              if (result.error) {
-                log.error(`twoParams method also failed, error:`, result.error);
-              } else {
-                log.success(`Success using twoParams method!`);
-                if (result.txHash) {
-                  log.info(`Transaction hash: ${result.txHash}`);
-                  log.info(`Explorer link: ${getTransactionExplorerUrl(result.txHash, ENV.NETWORK)}`);
-                }
-                if (result.gasUsed) {
-                  log.info(`Actual Gas used: ${result.gasUsed}`);
-                }
-              }
-            } else {
-              log.success(`Success using fourParams method!`);
-              if (result.txHash) {
-                log.info(`Transaction hash: ${result.txHash}`);
-                log.info(`Explorer link: ${getTransactionExplorerUrl(result.txHash, ENV.NETWORK)}`);
-              }
-              if (result.gasUsed) {
-                log.info(`Actual Gas used: ${result.gasUsed}`);
-              }
-            }
-          } else {
-            // Use the user-specified method
-            result = await executeMint(
-              contractAddress,
-              wallet,
-              gasLimit,
-              maxFeePerGas,
-              answers.mintMethod,
-              mintPrice,
-              getTransactionExplorerUrl(null, ENV.NETWORK),
-              maxPriorityFeePerGas
-            );
-
-            if (result.error) {
-              log.error(`${answers.mintMethod} method failed, error:`, result.error);
-            } else {
-              log.success(`Success using ${answers.mintMethod} method!`);
-              if (result.txHash) {
-                log.info(`Transaction hash: ${result.txHash}`);
-                log.info(`Explorer link: ${getTransactionExplorerUrl(result.txHash, ENV.NETWORK)}`);
-              }
-              if (result.gasUsed) {
-                log.info(`Actual Gas used: ${result.gasUsed}`);
-              }
-            }
-          }
+  const [payer] = wallets;
+  const recipients = loadRecipients(answers.recipientsFile);
+  log.info(`Minting to ${recipients.length} recipient(s), paid by wallet ${payer.id} (${payer.address})`);
+  return {
+    candidates,
+    units: recipients.map((recipient, index) => ({ ...payer, recipient: { ...recipient, index: index + 1 } }))
+  };
+};
 
-          if (result.error) {
-            log.error(`Wallet ${i + 1} failed to mint ${j + 1}`);
-            log.error(`- Error type: ${result.error.code || 'Unknown'}`);
-            log.error(`- Error message: ${result.error.message || result.error}`);
-            if (result.error.transaction) {
-              log.error(`- Transaction data: ${JSON.stringify(result.error.transaction, null, 2)}`);
-            }
-            // If auto mode and both methods fail, or if the specified method fails, skip this wallet
-            break;
-          } else {
-            log.success(`Wallet ${i + 1} successfully minted ${j + 1}!`);
-            log.info(`- Transaction status: ${result.status || 'Confirmed'}`);
-            if (result.blockNumber) {
-              log.info(`- Block number: ${result.blockNumber}`);
-            }
-            if (result.gasUsed) {
-              log.info(`- Gas used: ${result.gasUsed}`);
-            }
-            if (result.effectiveGasPrice) {
-              log.info(`- Actual Gas price: ${ethers.utils.formatUnits(result.effectiveGasPrice, 'gwei')} gwei`);
-            }
-          }
-          
-          // Wait a short time between each mint
-          if (j < mintAmount - 1) {
-            await new Promise(resolve => setTimeout(resolve, 2000));
-          }
-        }
-        
-        // Wait longer between different wallets
-        if (i < wallets.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 5000));
-        }
-      }
+// What every collection of a run shares, set up once: the resumed journal and
+// profile, the unlocked wallets, the provider and the network fees shown with
+// the questions. Null when no wallet is selected.
+const openMintSession = async (cliOptions) => {
+  // A resumed job replays its recorded answers; flags still override them
+  const resumedJournal = cliOptions.resume ? openJournal(cliOptions.resume) : null;
+  if (resumedJournal && resumedJournal.job.network !== ENV.NETWORK) {
+    throw new Error(`Journal ${resumedJournal.id} belongs to network ${resumedJournal.job.network}, not ${ENV.NETWORK}`);
+  }
+  const profile = cliOptions.profile ? loadProfile(cliOptions.profile) : {};
 
-      log.success('Minting process completed!');
+  displayBanner();
+  if (resumedJournal) {
+    log.info(`Resuming job ${resumedJournal.id} (${resumedJournal.job.contractAddress})`);
+  }
 
-    } catch (error) {
-      log.error('Error during initialization:');
-      log.error('- Error message:', error.message);
-      if (error.error) {
-        log.error('- Detailed error:', error.error);
-      }
-      if (error.code) {
-        log.error('- Error code:', error.code);
-      }
-      if (error.stack) {
-        log.error('- Error stack:', error.stack);
-      }
-      
-      // Try using a simplified ABI
-      log.info('Attempting to use a simplified ABI...');
-      const simpleABI = [
-        "function mintPublic(address to, uint256 qty) payable",
-        "function mintPublic(address to, uint256 param2, uint256 param3, bytes data) payable",
-        "function name() view returns (string)",
-        "function symbol() view returns (string)"
-      ];
-      
-      try {
-        const contract = new ethers.Contract(contractAddress, simpleABI, firstWallet);
-        log.success('Successfully created contract instance using simplified ABI');
-        // ... continue with the rest of the code ...
-      } catch (retryError) {
-        log.error('Failed to use simplified ABI:', retryError.message);
-        throw error; // Throw the original error
+  validateEnv();
+  const vaultWallets = hasVault() ? await unlockVaultWallets(cliOptions) : [];
+  const walletSelector = cliOptions.wallets ?? resumedJournal?.job.wallets ?? profile.wallets ?? ENV.WALLETS;
+  const wallets = selectWallets(mergeWallets(loadWallets(), vaultWallets), walletSelector);
+  if (wallets.length === 0) {
+    log.error('No valid wallet configurations found, please check the .env file');
+    return null;
+  }
+  log.info(`Using ${wallets.length} wallet(s): ${wallets.map((wallet) => `#${wallet.id} ${wallet.label}`).join(', ')}`);
+
+  const network = getNetwork(ENV.NETWORK);
+  const provider = createProvider(network.name);
+  if (provider.checkHealth) {
+    const status = await provider.checkHealth();
+    status.forEach((endpoint) => {
+      const detail = endpoint.blockNumber === null
+        ? `unreachable (${endpoint.lastError})`
+        : `block ${endpoint.blockNumber}, ${endpoint.latency} ms${endpoint.lag > 0 ? `, ${endpoint.lag} block(s) behind` : ''}`;
+      log[endpoint.healthy ? 'info' : 'warning'](`RPC ${endpoint.name}: ${detail}`);
+    });
+    if (!status.some((endpoint) => endpoint.healthy)) {
+      throw new Error('None of the configured RPC endpoints is reachable');
+    }
+  }
+  const { chainId } = await provider.getNetwork();
+  log.info(`Network: ${network.name} (chain ID ${chainId})`);
+  
+  // Fetch real-time gas prices
+  const { baseFee, suggestedMaxFee } = await getNetworkFees(provider);
+
+  return {
+    resumedJournal,
+    profile,
+    wallets,
+    walletSelector,
+    network,
+    provider,
+    chainId,
+    baseFee,
+    suggestedMaxFee,
+    feeEstimator: null
+  };
+};
+
+// Fee estimator of the session, created for the first collection: later ones
+// carry over its fee answers
+const getSessionFeeEstimator = (session, answers, maxFeePerGas) => {
+  if (!session.feeEstimator) {
+    session.feeEstimator = createFeeEstimator(session.provider, {
+      strategy: answers.feeStrategy,
+      percentile: parseFloat(answers.feePercentile),
+      priorityFee: answers.priorityFee && ethers.utils.parseUnits(answers.priorityFee, 'gwei'),
+      priorityFeePercent: parseFloat(answers.priorityFeePercent || '10'),
+      maxFeeCap: maxFeePerGas
+    });
+  }
+  return session.feeEstimator;
+};
+
+// One collection's mint job from the questionnaire to the wallet results.
+// `carriedAnswers` preset answers over the profile but under the flags. The
+// wallet summaries go into `runSummary` when given. Returns the answers used.
+const runCollectionMint = async (session, cliOptions, carriedAnswers = {}, runSummary = null) => {
+  const { resumedJournal, wallets, walletSelector, network, provider, chainId, baseFee, suggestedMaxFee } = session;
+  const presets = {
+    ...session.profile,
+    ...resumedJournal?.job.answers,
+    ...resumedJournal?.job.settings,
+    ...carriedAnswers,
+    ...cliOptions.answers,
+    ...cliOptions.settings
+  };
+  const settings = resolveSettings(presets);
+
+  const answers = await resolveAnswers(
+    buildQuestions({ baseFee, suggestedMaxFee, symbol: network.SYMBOL, wsUrl: network.WS_URL }),
+    presets,
+    { interactive: cliOptions.interactive }
+  );
+
+  if (cliOptions.saveProfile) {
+    const profilePath = saveProfile(cliOptions.saveProfile, { ...pickSettings(presets), ...answers });
+    log.success(`Profile saved to ${profilePath}`);
+  }
+
+  const { address: contractAddress, tokenId: linkTokenId } = await resolveCollection(answers.contractAddress, network);
+  const mintAmount = parseInt(answers.mintAmount);
+  const gasLimit = parseInt(answers.gasLimit);
+  
+  log.info(`Using contract address: ${contractAddress}`);
+
+  // The launchpad template the contract follows decides how it is read and minted
+  const { adapter, matched, variants, protocol, implementation } = await detectMintAdapter(contractAddress, provider);
+  if (implementation) {
+    log.info(`Proxy of implementation ${implementation}`);
+  }
+  if (matched) {
+    log.info(`Mint template: ${adapter.name}${protocol ? ` (${protocol})` : ''}`);
+  } else {
+    log.warning('No known mint function found in the contract code, trying the Magic Eden methods');
+  }
+  let mintCandidates = answers.mintMethod === 'auto' ? variants : getMintCandidates(answers.mintMethod, adapter);
+  if (mintCandidates.length === 0) {
+    throw new Error(`The ${answers.mintMethod} minting method is not available for ${adapter.name} contracts, use auto`);
+  }
+
+  // With a recipients file the selected wallet pays for one recipient after another
+  let mintWallets = wallets;
+  let mintSettings = settings;
+  if (answers.recipientsFile) {
+    ({ units: mintWallets, candidates: mintCandidates } = getRecipientUnits(wallets, answers, mintCandidates));
+    mintSettings = { ...settings, concurrency: 1 };
+  }
+
+  // The token of an item link is the default choice; --token-id overrides it
+  const tokenIds = adapter === MINT_ADAPTERS.magicEden
+    ? await selectTokenIds(
+      new ethers.Contract(contractAddress, ABI, provider),
+      getStageName(answers.mintMethod),
+      { ...presets, tokenIds: presets.tokenIds ?? linkTokenId ?? undefined },
+      { interactive: cliOptions.interactive }
+    )
+    : [null];
+  if (tokenIds[0] !== null) {
+    answers.tokenIds = tokenIds.join(',');
+  }
+
+  // Every attempt is journaled as it happens so an interrupted run can be resumed
+  const jobRecord = { answers, settings, wallets: walletSelector };
+  let journal;
+  if (resumedJournal) {
+    journal = resumedJournal;
+    journal.updateJob(jobRecord);
+  } else {
+    journal = createJournal({ network: network.name, chainId, contractAddress, ...jobRecord });
+  }
+  log.info(`Journal: ${journal.file} (resume with --resume ${journal.id})`);
+  
+  // Named in the error log, so a failed mint is not reported as a setup error
+  let phase = 'initialization';
+  try {
+    // Fetch collection information
+    log.info('Fetching collection information...');
+    const { name, symbol } = await getCollectionInfo(contractAddress, provider);
+    log.info(`Collection: ${name} (${symbol})`);
+
+    // Create contract instance for each wallet and fetch configuration
+    log.info('Creating contract instance...');
+    const firstWallet = createWallet(wallets[0], provider);
+    const contract = new ethers.Contract(contractAddress, ABI, firstWallet);
+    
+    // Fees are evaluated again before every send; the cap bounds them all
+    const maxFeePerGas = ethers.utils.parseUnits(answers.maxGasPrice, 'gwei');
+    const feeEstimator = getSessionFeeEstimator(session, answers, maxFeePerGas);
+    const currentFees = await feeEstimator.getFees();
+
+    log.info(`Gas settings:`);
+    log.info(`- Gas limit: ${gasLimit}`);
+    log.info(`- Fee strategy: ${FEE_STRATEGIES[answers.feeStrategy]}`);
+    log.info(`- Current fees: max fee ${formatGwei(currentFees.maxFeePerGas)}, priority fee ${formatGwei(currentFees.maxPriorityFeePerGas)} (base fee ${formatGwei(currentFees.baseFee)})`);
+    log.info(`- Max fee cap: ${answers.maxGasPrice} gwei`);
+    log.info(`- Maximum Gas cost per transaction: ${formatNativeAmount(maxFeePerGas.mul(gasLimit))}`);
+
+    const stuckPolicy = getStuckPolicy(settings, maxFeePerGas);
+    if (stuckPolicy.action !== 'none') {
+      log.info(`- Stuck mints: ${STUCK_ACTIONS[stuckPolicy.action].toLowerCase()} after ${describeStuckLimit(stuckPolicy)}, max fee up to ${ethers.utils.formatUnits(stuckPolicy.maxFeeCeiling, 'gwei')} gwei`);
+    }
+
+    let tokenProtocol = null;
+    if (answers.mintMethod === 'quote') {
+      // Fails early on a network Magic Eden does not serve
+      getMagicEdenChain();
+      tokenProtocol = answers.tokenProtocol === 'auto' || !answers.tokenProtocol
+        ? await detectTokenProtocol(contractAddress, provider)
+        : answers.tokenProtocol;
+      log.info(`Minting through Magic Eden quotes as ${tokenProtocol}`);
+    }
+
+    const collectionJob = {
+      provider,
+      chainId,
+      contract,
+      adapter,
+      mintCandidates,
+      tokenProtocol,
+      contractAddress,
+      stageName: getStageName(answers.mintMethod),
+      mintMethod: answers.mintMethod,
+      mintAmount,
+      gasLimit,
+      maxFeePerGas,
+      feeEstimator,
+      mintDelayMs: settings.mintDelayMs,
+      jitterMs: settings.jitterMs,
+      journal,
+      stuckPolicy
+    };
+    phase = 'minting';
+    for (const [index, tokenId] of tokenIds.entries()) {
+      if (tokenIds.length > 1) {
+        log.info(`Token ${tokenId} (${index + 1}/${tokenIds.length})`);
       }
+      const results = await runTokenMint(mintWallets, { ...collectionJob, tokenId }, mintSettings, { answers, presets, cliOptions, network });
+      runSummary?.add({ jobId: journal.id, network: network.name, contractAddress, tokenId }, results || []);
     }
+
+    log.success('Minting process completed!');
+
   } catch (error) {
-    log.error('An error occurred:', error.message);
+    log.error(`Error during ${phase}:`);
+    log.error('- Error message:', error.message);
     if (error.error) {
-      log.error('Detailed error:', error.error);
+      log.error('- Detailed error:', error.error);
+    }
+    if (error.code) {
+      log.error('- Error code:', error.code);
+    }
+    if (error.stack) {
+      log.error('- Error stack:', error.stack);
+    }
+    process.exitCode = 1;
+  }
+  return answers;
+};
+
+// A mint run of one collection
+const runMintFlow = async (cliOptions, runSummary = null) => {
+  const session = await openMintSession(cliOptions);
+  if (session) {
+    await runCollectionMint(session, cliOptions, {}, runSummary);
+  }
+};
+
+const logRunError = (error) => {
+  log.error('An error occurred:', error.message);
+  if (error.error) {
+    log.error('Detailed error:', error.error);
+  }
+  process.exitCode = 1;
+};
+
+// End of a mint run: the totals over all of its jobs when it had several
+// (ERC1155 tokens, browsed collections), then the --export files
+const finishRun = (runSummary, exportFiles) => {
+  const records = runSummary.getRecords();
+  if (records.length === 0) {
+    return;
+  }
+  if (new Set(records.map((record) => `${record.contract}:${record.tokenId}`)).size > 1) {
+    const totals = runSummary.getTotals();
+    log.info(`Run total: minted ${totals.minted}/${totals.requested} NFTs in ${totals.transactions} transaction(s), spent ${totals.cost} ${getNetwork(ENV.NETWORK).SYMBOL}`);
+  }
+  for (const file of runSummary.writeFiles(exportFiles)) {
+    log.success(`Run summary written to ${file}`);
+  }
+};
+
+// Mint the collections picked from the trending list one after another. The
+// questions are asked once: later collections reuse the first one's answers,
+// except the contract, its token IDs and a manually entered price.
+const runBrowseAndMint = async (cliOptions) => {
+  const exportFiles = parseExportFiles(cliOptions.flags.export);
+  const picked = await runBrowseCommand(cliOptions);
+  if (picked.length === 0) {
+    return;
+  }
+  const session = await openMintSession(cliOptions);
+  if (!session) {
+    return;
+  }
+  const runSummary = createRunSummary();
+  let carriedAnswers = {};
+  for (const [index, contractAddress] of picked.entries()) {
+    log.info(`Collection ${index + 1}/${picked.length}: ${contractAddress}`);
+    try {
+      const answers = await runCollectionMint(
+        session,
+        { ...cliOptions, answers: { ...cliOptions.answers, contractAddress } },
+        carriedAnswers,
+        runSummary
+      );
+      if (answers) {
+        const { contractAddress: _, price, tokenIds, ...reusable } = answers;
+        carriedAnswers = reusable;
+      }
+    } catch (error) {
+      logRunError(error);
+    }
+  }
+  finishRun(runSummary, exportFiles);
+};
+
+const COMMAND_HANDLERS = {
+  vault: runVaultCommand,
+  tx: runTxCommand,
+  fund: runFundCommand,
+  sweep: runSweepCommand,
+  consolidate: runConsolidateCommand,
+  browse: runBrowseAndMint
+};
+
+const main = async () => {
+  try {
+    const cliOptions = parseCliArgs();
+    if (cliOptions.help) {
+      console.log(getUsage());
+      return;
     }
+    if (cliOptions.command) {
+      await COMMAND_HANDLERS[cliOptions.command](cliOptions);
+      return;
+    }
+    const exportFiles = parseExportFiles(cliOptions.flags.export);
+    const runSummary = createRunSummary();
+    try {
+      await runMintFlow(cliOptions, runSummary);
+    } finally {
+      finishRun(runSummary, exportFiles);
+    }
+  } catch (error) {
+    logRunError(error);
   }
 };
 